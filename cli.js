@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+// Headless CLI for the ES6+ Feature Showcase demos
+import { mkdir, readFile, writeFile } from "node:fs/promises"
+import { homedir } from "node:os"
+import { join } from "node:path"
+import { parseArgs } from "node:util"
+import { HeadlessRunner, toPlainText } from "./modules/headlessRunner.js"
+import { createSandbox, DEFAULT_LIMITS } from "./modules/sandbox.js"
+import { formatValue } from "./modules/playground.js"
+import { challenges, findChallenge } from "./modules/challenges.js"
+import { gradeChallenge } from "./modules/grader.js"
+import { ProgressStore } from "./modules/progress.js"
+import { PerformanceDemo } from "./modules/performance.js"
+import { DISTRIBUTIONS } from "./modules/dataGenerator.js"
+import { DEFAULT_SEED, getSeed, setSeed } from "./modules/random.js"
+import { createJsonFileAdapter } from "./modules/storage.js"
+
+const DEFAULT_PROGRESS_FILE = join(homedir(), ".es6-showcase", "progress.json")
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  list                  List every registered demo and its examples
+  run <id...>           Run one or more demos
+  run <id:example>      Run a single named example, e.g. advanced-patterns:proxyPattern
+  run --all             Run every registered demo
+  exec <file>           Run a JavaScript file in the sandbox ("-" reads stdin)
+  challenges            List challenges with their prompts
+  grade <id> <file>     Grade a solution file against a challenge's hidden tests
+  sweep                 Benchmark the performance demo across dataset sizes and chart time vs n
+  progress              Show completed challenges and recent demo runs
+  progress export [f]   Print progress as versioned JSON, or write it to a file
+  progress import <f>   Replace progress with an exported file ("-" reads stdin)
+  progress reset        Clear all progress
+
+Options:
+  --all                 Run all demos
+  --json                Print results as JSON
+  --code                Include each demo's source code
+  --timeout <ms>        Sandbox time limit (default ${DEFAULT_LIMITS.timeout})
+  --memory <mb>         Sandbox heap limit (default ${DEFAULT_LIMITS.memoryMb})
+  --progress <file>     Progress file (default ${DEFAULT_PROGRESS_FILE})
+  --size <n>            Dataset size for the performance demo
+  --distribution <d>    Score distribution: ${DISTRIBUTIONS.join(", ")}
+  --seed <n>            Seed for every demo's random numbers (default ${DEFAULT_SEED})
+  --svg <dir>           Write each result chart to <dir> as a standalone .svg file
+  --sizes <list>        Sweep sizes (default ${PerformanceDemo.SWEEP_SIZES.join(",")})
+  -h, --help            Show this help`
+
+const formatResult = ({ id, title, icon, ok, output, code, error, duration }, { showCode }) => {
+  const header = `━━━ ${icon} ${title} (${id}) · ${duration.toFixed(1)}ms ━━━`
+  const body = ok ? toPlainText(output) : `❌ Error: ${error}`
+  const source = ok && showCode ? `\n\n── Source ──\n${code.trim()}` : ""
+  return `${header}\n${body}${source}\n`
+}
+
+const listDemos = (runner, { json }) => {
+  const demos = runner.registry.list().map(({ id, title, icon, category }) => ({
+    id,
+    title,
+    icon,
+    category,
+    examples: runner.listExamples(id),
+  }))
+
+  if (json) {
+    console.log(JSON.stringify(demos, null, 2))
+    return
+  }
+
+  demos.forEach(({ id, title, icon, category, examples }) => {
+    console.log(`${icon} ${id.padEnd(20)} ${title} [${category}]`)
+    examples.forEach((example) => console.log(`     ${`${id}:${example.id}`.padEnd(48)} ${example.title}`))
+  })
+}
+
+// Source code is opt-in, including for each nested example
+const withoutCode = ({ code, examples = [], ...rest }) => ({ ...rest, examples: examples.map(withoutCode) })
+
+// Chart markup is large, so JSON output lists charts by id and --svg writes the markup to files
+const withoutSvg = ({ charts = [], examples = [], ...rest }) => ({
+  ...rest,
+  charts: charts.map(({ id, title }) => ({ id, title })),
+  examples: examples.map(withoutSvg),
+})
+
+const writeCharts = async (dir, prefix, charts) => {
+  await mkdir(dir, { recursive: true })
+  const files = []
+  for (const { id, svg } of charts) {
+    const file = join(dir, `${prefix}-${id}.svg`)
+    await writeFile(file, `${svg}\n`)
+    files.push(file)
+  }
+  return files
+}
+
+const runDemos = async (runner, targets, { all, json, code, svg }, progress) => {
+  if (!all && targets.length === 0) {
+    throw new Error("Specify at least one demo id or --all")
+  }
+
+  const resolved = runner.resolveTargets(targets, { all })
+  const results = await runner.runAll(resolved)
+
+  for (const [index, { ok }] of results.entries()) {
+    const { id, example } = resolved[index]
+    progress.recordRun(example ? `${id}:${example}` : id, { ok })
+  }
+  await progress.flush()
+
+  if (svg) {
+    for (const { id, charts = [] } of results) {
+      const files = await writeCharts(svg, id, charts)
+      files.forEach((file) => console.error(`🖼️  ${file}`))
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results.map((result) => withoutSvg(code ? result : withoutCode(result))), null, 2))
+  } else {
+    console.log(`🎲 Seed ${getSeed()} - pass --seed ${getSeed()} to reproduce\n`)
+    results.forEach((result) => console.log(formatResult(result, { showCode: code })))
+  }
+
+  return results.every(({ ok }) => ok)
+}
+
+const readStdin = async () => {
+  const chunks = []
+  for await (const chunk of process.stdin) chunks.push(chunk)
+  return Buffer.concat(chunks).toString("utf8")
+}
+
+const execFile = async (file, { json, timeout, memory }) => {
+  if (!file) {
+    throw new Error("Specify a file to execute")
+  }
+
+  const code = await readSource(file)
+  const sandbox = createSandbox({
+    timeout: Number(timeout ?? DEFAULT_LIMITS.timeout),
+    memoryMb: Number(memory ?? DEFAULT_LIMITS.memoryMb),
+  })
+
+  // Stream console output as it arrives unless the caller wants one JSON document
+  const onLog = json
+    ? undefined
+    : ({ level, text, timestamp }) => {
+        const stream = level === "error" || level === "warn" ? console.error : console.log
+        stream(`[${new Date(timestamp).toISOString()}] ${level.padEnd(5)} ${text}`)
+      }
+
+  const outcome = await sandbox.run(code, { onLog })
+
+  if (json) {
+    console.log(JSON.stringify(outcome, null, 2))
+  } else if (outcome.error) {
+    const location = outcome.error.line ? ` (line ${outcome.error.line})` : ""
+    console.error(`❌ ${outcome.error.name}: ${outcome.error.message}${location}`)
+  } else if (outcome.result !== undefined) {
+    console.log(`⇒ ${formatValue(outcome.result)}`)
+  }
+
+  return !outcome.error
+}
+
+const readSource = (file) => (file === "-" ? readStdin() : readFile(file, "utf8"))
+
+const listChallenges = ({ json }) => {
+  if (json) {
+    console.log(JSON.stringify(challenges.map(({ tests, ...challenge }) => challenge), null, 2))
+    return
+  }
+
+  challenges.forEach(({ id, name, prompt }) => {
+    console.log(`🎯 ${id.padEnd(22)} ${name}\n   ${prompt}\n`)
+  })
+}
+
+const gradeFile = async (id, file, { json, timeout, memory }, progress) => {
+  const challenge = findChallenge(id)
+  if (!challenge) {
+    throw new Error(`Unknown challenge "${id}"`)
+  }
+  if (!file) {
+    throw new Error("Specify a solution file to grade")
+  }
+
+  const sandbox = createSandbox({
+    timeout: Number(timeout ?? DEFAULT_LIMITS.timeout),
+    memoryMb: Number(memory ?? DEFAULT_LIMITS.memoryMb),
+  })
+  const code = await readSource(file)
+  const report = await gradeChallenge(challenge, code, { sandbox })
+  const passedCount = report.results.filter(({ passed }) => passed).length
+  const total = report.results.length
+
+  progress.saveSnippet(`challenge:${id}`, code)
+  progress.recordAttempt(id, { passed: report.passed, passedCount, total })
+  await progress.flush()
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2))
+    return report.passed
+  }
+
+  console.log(`${report.passed ? "✅" : "❌"} ${challenge.name}: ${passedCount}/${total} tests passed`)
+  report.results
+    .filter(({ passed }) => !passed)
+    .forEach(({ name, expected, actual, error }) => {
+      console.log(`   ✗ ${name}: ${error ? `Error: ${error}` : `expected ${expected}, got ${actual}`}`)
+    })
+
+  return report.passed
+}
+
+// Dataset flags become constructor options for every demo; demos ignore the ones they don't use
+const readDemoOptions = ({ size, distribution }) => ({
+  ...(size !== undefined && { size: Number(size) }),
+  ...(distribution !== undefined && { distribution }),
+})
+
+const runSweep = async (runner, { json, sizes, svg }) => {
+  const demo = runner.createDemo("performance")
+  const result = await demo.sweep({
+    sizes: sizes ? sizes.split(",").map(Number) : undefined,
+    onProgress: (message) => console.error(message),
+  })
+
+  if (svg) {
+    const files = await writeCharts(svg, "performance", result.charts)
+    files.forEach((file) => console.error(`🖼️  ${file}`))
+  }
+
+  if (json) {
+    const { output, charts, ...data } = result
+    console.log(JSON.stringify(data, null, 2))
+  } else {
+    console.log(result.output)
+  }
+  return true
+}
+
+const showProgress = (progress, { json }) => {
+  if (json) {
+    console.log(progress.export())
+    return
+  }
+
+  const completed = progress.completedChallenges()
+  console.log(`🎯 Challenges: ${completed.length}/${challenges.length} completed`)
+  challenges.forEach(({ id, name }) => {
+    const attempts = progress.state.challenges[id]?.attempts.length ?? 0
+    if (attempts === 0) return
+    console.log(`   ${progress.isCompleted(id) ? "✅" : "⬜"} ${name} (${attempts} attempt${attempts === 1 ? "" : "s"})`)
+  })
+
+  const runs = Object.entries(progress.state.examples)
+  console.log(`\n▶ Demo runs: ${runs.length} target${runs.length === 1 ? "" : "s"}`)
+  runs.forEach(([target, { runs: count, lastRunAt, history }]) => {
+    const status = history.at(-1)?.ok ? "✅" : "❌"
+    console.log(`   ${status} ${target.padEnd(48)} ${count}× · last ${lastRunAt}`)
+  })
+}
+
+const manageProgress = async (progress, [action, file], values) => {
+  switch (action) {
+    case undefined:
+    case "show":
+      showProgress(progress, values)
+      return true
+    case "export":
+      if (file) {
+        await writeFile(file, `${progress.export()}\n`)
+        console.log(`💾 Progress exported to ${file}`)
+      } else {
+        console.log(progress.export())
+      }
+      return true
+    case "import":
+      if (!file) {
+        throw new Error("Specify a progress file to import")
+      }
+      progress.import(await readSource(file))
+      await progress.flush()
+      console.log(`📥 Imported progress (${progress.completedChallenges().length} challenges completed)`)
+      return true
+    case "reset":
+      progress.reset()
+      await progress.flush()
+      console.log("🧹 Progress reset")
+      return true
+    default:
+      throw new Error(`Unknown progress action "${action}"`)
+  }
+}
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      all: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      code: { type: "boolean", default: false },
+      timeout: { type: "string" },
+      memory: { type: "string" },
+      progress: { type: "string", default: DEFAULT_PROGRESS_FILE },
+      size: { type: "string" },
+      distribution: { type: "string" },
+      seed: { type: "string" },
+      sizes: { type: "string" },
+      svg: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  })
+
+  const [command, ...targets] = positionals
+
+  if (values.help || !command) {
+    console.log(USAGE)
+    return true
+  }
+
+  if (values.seed !== undefined) setSeed(values.seed)
+  const runner = new HeadlessRunner(undefined, { demoOptions: readDemoOptions(values) })
+  // Only the commands that read or record progress touch the progress file
+  const openProgress = () => ProgressStore.open(createJsonFileAdapter(values.progress))
+
+  switch (command) {
+    case "list":
+      listDemos(runner, values)
+      return true
+    case "run":
+      return runDemos(runner, targets, values, await openProgress())
+    case "exec":
+      return execFile(targets[0], values)
+    case "challenges":
+      listChallenges(values)
+      return true
+    case "grade":
+      return gradeFile(targets[0], targets[1], values, await openProgress())
+    case "sweep":
+      return runSweep(runner, values)
+    case "progress":
+      return manageProgress(await openProgress(), targets, values)
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`)
+  }
+}
+
+main(process.argv.slice(2))
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1
+  })
+  .catch((error) => {
+    console.error(`❌ ${error.message}`)
+    process.exitCode = 1
+  })
@@ -1,86 +1,330 @@
 // Advanced JavaScript Feature Showcase Dashboard
 // Day 1/120 - Full Stack Developer Challenge
 
-import { DestructuringDemo } from "./modules/destructuring.js"
-import { SpreadRestDemo } from "./modules/spreadRest.js"
-import { ArrowFunctionDemo } from "./modules/arrowFunctions.js"
-import { TemplateLiteralDemo } from "./modules/templateLiterals.js"
-import { AdvancedPatternsDemo } from "./modules/advancedPatterns.js"
-import { PerformanceDemo } from "./modules/performance.js"
+import { DemoRegistry, validateDemoResult } from "./modules/demoRegistry.js"
+import { registerBuiltinDemos } from "./modules/builtinDemos.js"
 import { CodeDisplayManager } from "./modules/codeDisplay.js"
+import { ChallengeBoard } from "./modules/challengeBoard.js"
+import { TimelineVisualizer } from "./modules/timelineVisualizer.js"
+import { StoreDashboard } from "./modules/storeDashboard.js"
+import { ProgressStore } from "./modules/progress.js"
+import { createLocalStorageAdapter, createMemoryAdapter } from "./modules/storage.js"
+import { createRandom, getSeed, parseSeed, setSeed } from "./modules/random.js"
+import { debounce } from "./modules/timing.js"
+
+const PROGRESS_STORAGE_KEY = "es6-showcase-progress"
+
+// Plugin metadata is text, not markup - it lands in both element content and attribute values
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
 
 class FeatureDashboard {
-  constructor() {
-    this.demos = new Map([
-      ["destructuring", new DestructuringDemo()],
-      ["spread-rest", new SpreadRestDemo()],
-      ["arrow-functions", new ArrowFunctionDemo()],
-      ["template-literals", new TemplateLiteralDemo()],
-      ["advanced-patterns", new AdvancedPatternsDemo()],
-      ["performance", new PerformanceDemo()],
-    ])
-
-    this.codeDisplay = new CodeDisplayManager()
+  static registry = new DemoRegistry()
+
+  // Plugin API: FeatureDashboard.register(id, DemoClass, { title, icon, category, input, options, actions })
+  static register(id, DemoClass, meta) {
+    FeatureDashboard.registry.register(id, DemoClass, meta)
+    return FeatureDashboard
+  }
+
+  constructor({ progress = new ProgressStore(createMemoryAdapter()) } = {}) {
+    const { registry } = FeatureDashboard
+    this.demoOptions = new Map(registry.list().map(({ id }) => [id, registry.defaultOptions(id)]))
+    this.progress = progress
+
+    // The seed has to be in place before any demo draws random data
+    this.initializeSeed()
+    this.createDemos()
+
+    this.renderDemoCards()
+    this.codeDisplay = new CodeDisplayManager({ progress })
+    this.challengeBoard = new ChallengeBoard({ progress })
+    this.timelineVisualizer = new TimelineVisualizer()
+    this.storeDashboard = new StoreDashboard()
     this.initializeEventListeners()
+    this.initializeProgressControls()
+    this.initializeSeedControls()
     this.showWelcomeMessage()
   }
 
+  createDemos() {
+    const { registry } = FeatureDashboard
+    this.demos = new Map(registry.list().map(({ id }) => [id, registry.create(id, this.demoOptions.get(id))]))
+  }
+
+  // ?seed=42 reproduces every demo's random data; the seed in use is always mirrored into the URL
+  initializeSeed() {
+    const fromUrl = parseSeed(new URLSearchParams(location.search).get("seed"))
+    if (fromUrl !== null) setSeed(fromUrl)
+    this.updateSeedUrl()
+  }
+
+  updateSeedUrl() {
+    const url = new URL(location.href)
+    url.searchParams.set("seed", getSeed())
+    history.replaceState(null, "", url)
+  }
+
+  initializeSeedControls() {
+    const seedInput = document.getElementById("seed-input")
+    const rerollButton = document.getElementById("reroll-seed")
+    if (!seedInput) return
+
+    seedInput.value = getSeed()
+    seedInput.addEventListener("change", () => {
+      if (parseSeed(seedInput.value) === null) {
+        seedInput.value = getSeed()
+        return
+      }
+      this.changeSeed(seedInput.value)
+    })
+    // The one place Math.random() is welcome: picking a fresh seed
+    rerollButton?.addEventListener("click", () => {
+      seedInput.value = this.changeSeed(Math.floor(Math.random() * 2 ** 32))
+    })
+  }
+
+  // Demos capture their random data when constructed, so rebuild them for the new seed
+  changeSeed(seed) {
+    setSeed(seed)
+    this.updateSeedUrl()
+    this.createDemos()
+    return getSeed()
+  }
+
+  // Progress survives reloads in localStorage; fall back to memory when storage is blocked
+  static async openProgress() {
+    try {
+      return await ProgressStore.open(createLocalStorageAdapter(PROGRESS_STORAGE_KEY))
+    } catch (error) {
+      console.warn("Progress will not persist:", error)
+      return ProgressStore.open(createMemoryAdapter())
+    }
+  }
+
+  // Generate one card per registered demo, grouped by category
+  renderDemoCards() {
+    const container = document.getElementById("demo-grid")
+    if (!container) return
+
+    container.innerHTML = [...FeatureDashboard.registry.byCategory()]
+      .map(
+        ([category, entries]) => `
+          <section class="demo-category">
+            <h2>${escapeHtml(category)}</h2>
+            <div class="features-grid">
+              ${entries.map((entry) => this.renderDemoCard(entry)).join("")}
+            </div>
+          </section>`,
+      )
+      .join("")
+  }
+
+  renderDemoCard({ id, title, icon, input, options, actions }) {
+    const demoId = escapeHtml(id)
+    const inputField = input
+      ? `<input type="${escapeHtml(input.type ?? "text")}" id="${escapeHtml(input.id)}"
+          placeholder="${escapeHtml(input.placeholder ?? "")}">`
+      : ""
+
+    // Declared constructor options become selects; changing one rebuilds the demo
+    const optionFields = options.length
+      ? `<div class="demo-options">${options.map((option) => this.renderDemoOption(id, option)).join("")}</div>`
+      : ""
+
+    const actionButtons = actions
+      .map(
+        ({ method, label }) =>
+          `<button class="demo-action-btn" data-action="${demoId}" data-method="${escapeHtml(method)}">
+            ${escapeHtml(label)}
+          </button>`,
+      )
+      .join("")
+
+    // Demos exposing named examples get one tab per example
+    const examples = this.demos.get(id).getExamples?.() ?? []
+    const exampleTabs = examples.length
+      ? `<div class="example-tabs" role="tablist">
+          ${examples
+            .map(
+              (example) =>
+                `<button class="example-btn" role="tab"
+                  data-action="${demoId}" data-example="${escapeHtml(example.id)}">
+                  ${escapeHtml(example.title)}
+                </button>`,
+            )
+            .join("")}
+        </div>`
+      : ""
+
+    return `
+      <div class="feature-card">
+        <h3>${escapeHtml(icon)} ${escapeHtml(title)}</h3>
+        <div class="demo">
+          ${inputField}
+          ${optionFields}
+          <button class="demo-btn" data-action="${demoId}">Run ${escapeHtml(title)}</button>
+          ${actionButtons}
+          ${exampleTabs}
+          <div id="${demoId}-output" class="output"></div>
+        </div>
+      </div>`
+  }
+
+  renderDemoOption(id, { id: optionId, label, values, default: selected }) {
+    const choices = values
+      .map(
+        (value) =>
+          `<option value="${escapeHtml(value)}"${value === selected ? " selected" : ""}>
+            ${escapeHtml(value.toLocaleString("en-US"))}
+          </option>`,
+      )
+      .join("")
+
+    return `
+      <label>${escapeHtml(label)}
+        <select class="demo-option" data-action="${escapeHtml(id)}" data-option="${escapeHtml(optionId)}">
+          ${choices}
+        </select>
+      </label>`
+  }
+
   initializeEventListeners() {
     // Advanced event delegation pattern
     document.addEventListener("click", this.handleDemoClick.bind(this))
+    document.addEventListener("change", this.handleOptionChange)
 
     // Debounced input handling for template literals
     const userNameInput = document.getElementById("user-name")
     if (userNameInput) {
       userNameInput.addEventListener(
         "input",
-        this.debounce(() => this.updateTemplatePreview(), 300),
+        debounce(() => this.updateTemplatePreview(), 300),
       )
     }
   }
 
   // Advanced arrow function with proper this binding
   handleDemoClick = (event) => {
-    const { target } = event
-
-    if (!target.classList.contains("demo-btn")) return
+    const target = event.target.closest(".demo-btn, .example-btn, .demo-action-btn")
+    if (!target) return
 
-    const action = target.dataset.action
+    const { action, example, method } = target.dataset
     const demo = this.demos.get(action)
 
-    if (demo) {
-      this.runDemo(action, demo)
+    if (demo && method) {
+      this.runAction(action, demo, method)
+    } else if (demo) {
+      this.setActiveExample(action, example)
+      this.runDemo(action, demo, example)
+    }
+  }
+
+  handleOptionChange = (event) => {
+    const select = event.target.closest(".demo-option")
+    if (!select) return
+
+    const { action, option } = select.dataset
+    const { values } = FeatureDashboard.registry.get(action).options.find(({ id }) => id === option)
+    // Select values are strings; map back to the declared value so numbers stay numbers
+    const value = values.find((candidate) => String(candidate) === select.value)
+    const options = { ...this.demoOptions.get(action), [option]: value }
+
+    try {
+      this.demoOptions.set(action, options)
+      this.demos.set(action, FeatureDashboard.registry.create(action, options))
+    } catch (error) {
+      this.handleError(action, error)
     }
   }
 
-  async runDemo(action, demo) {
+  // Mark the selected example tab; running the whole demo clears the selection
+  setActiveExample(action, exampleId) {
+    // Compared through dataset rather than a selector, as plugin ids may contain any characters
+    document.querySelectorAll(".example-btn").forEach((tab) => {
+      if (tab.dataset.action !== action) return
+      const active = tab.dataset.example === exampleId
+      tab.classList.toggle("active", active)
+      tab.setAttribute("aria-selected", String(active))
+    })
+  }
+
+  async runDemo(action, demo, exampleId) {
+    const target = exampleId ? `${action}:${exampleId}` : action
+
     try {
       const output = document.getElementById(`${action}-output`)
-      const result = await demo.run()
+      const result = validateDemoResult(action, exampleId ? await demo.runExample(exampleId) : await demo.run())
 
-      output.innerHTML = result.output
-      this.codeDisplay.show(result.code, action)
+      output.innerHTML = result.output + this.renderCharts(result.charts)
+      this.codeDisplay.show(result.code, target, { context: demo })
+      this.progress.recordRun(target, { ok: true })
 
       // Add success animation
       output.classList.add("highlight")
       setTimeout(() => output.classList.remove("highlight"), 2000)
     } catch (error) {
       this.handleError(action, error)
+      this.progress.recordRun(target, { ok: false })
     }
   }
 
+  // Actions can run for a while, so they report progress into the card's output as they go
+  async runAction(action, demo, method) {
+    const target = `${action}:${method}`
+    const output = document.getElementById(`${action}-output`)
+
+    try {
+      const result = await demo[method]({ onProgress: (message) => (output.textContent = message) })
+      output.innerHTML = result.output + this.renderCharts(result.charts)
+      this.progress.recordRun(target, { ok: true })
+    } catch (error) {
+      this.handleError(action, error)
+      this.progress.recordRun(target, { ok: false })
+    }
+  }
+
+  // Chart SVG is generated markup with every label escaped, so it can be injected as-is
+  renderCharts(charts = []) {
+    if (charts.length === 0) return ""
+    return `<div class="demo-charts">${charts
+      .map(({ title, svg }) => `<figure class="demo-chart" aria-label="${title}">${svg}</figure>`)
+      .join("")}</div>`
+  }
+
   handleError(action, error) {
     const output = document.getElementById(`${action}-output`)
-    output.innerHTML = `<span class="error">Error: ${error.message}</span>`
+    output.innerHTML = `<span class="error">Error: ${escapeHtml(error.message)}</span>`
     console.error(`Demo ${action} failed:`, error)
   }
 
-  // Higher-order function for debouncing
-  debounce(func, wait) {
-    let timeout
-    return (...args) => {
-      clearTimeout(timeout)
-      timeout = setTimeout(() => func.apply(this, args), wait)
+  initializeProgressControls() {
+    const exportButton = document.getElementById("export-progress")
+    const importInput = document.getElementById("import-progress")
+
+    exportButton?.addEventListener("click", () => this.exportProgress())
+    importInput?.addEventListener("change", async () => {
+      const [file] = importInput.files
+      if (file) await this.importProgress(file)
+      importInput.value = ""
+    })
+  }
+
+  exportProgress() {
+    const blob = new Blob([this.progress.export()], { type: "application/json" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `es6-showcase-progress-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  async importProgress(file) {
+    try {
+      this.progress.import(await file.text())
+      this.challengeBoard.refresh()
+    } catch (error) {
+      alert(`Could not import progress: ${error.message}`)
     }
   }
 
@@ -114,10 +358,19 @@ console.log('Ready to showcase advanced JavaScript mastery! 💪');
   }
 }
 
-// Initialize dashboard when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
-  new FeatureDashboard()
-})
+registerBuiltinDemos(FeatureDashboard)
+
+// The classic script.js basics can't import modules, so they get the shared generator this way
+if (typeof window !== "undefined") {
+  window.createSeededRandom = createRandom
+}
+
+// Initialize dashboard when DOM is loaded (skipped when imported headlessly)
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", async () => {
+    new FeatureDashboard({ progress: await FeatureDashboard.openProgress() })
+  })
+}
 
 // Export for potential module usage
 export { FeatureDashboard }
@@ -1,27 +1,30 @@
 // Advanced JavaScript Patterns Demo
-export class AdvancedPatternsDemo {
+import { Demo } from "./demoBase.js"
+import { memoize } from "./memoize.js"
+import { VirtualClock } from "./timeline.js"
+import { EventEmitter } from "./eventEmitter.js"
+import { flowChart } from "./svgChart.js"
+import { ValidationError, createValidatedObject, formatAccessLog, subscribe, undo } from "./validatedObject.js"
+import { ReactiveStore, bind } from "./reactiveStore.js"
+import { UserRepository } from "./userRepository.js"
+import { createMemoryAdapter } from "./storage.js"
+
+export class AdvancedPatternsDemo extends Demo {
+  static examples = [
+    { id: "closuresAndPrivacy", title: "Closures for Privacy" },
+    { id: "memoizationPattern", title: "Memoization Pattern" },
+    { id: "observerPattern", title: "Observer Pattern" },
+    { id: "modulePattern", title: "Module Pattern" },
+    { id: "proxyPattern", title: "Proxy Pattern" },
+    { id: "reactiveStore", title: "Reactive Store" },
+  ]
+
   constructor() {
+    super()
     this.cache = new Map()
     this.observers = []
   }
 
-  async run() {
-    const examples = [
-      this.closuresAndPrivacy(),
-      this.memoizationPattern(),
-      this.observerPattern(),
-      this.modulePattern(),
-      this.proxyPattern(),
-    ]
-
-    const output = examples.join("\n\n")
-
-    return {
-      output,
-      code: this.getSourceCode(),
-    }
-  }
-
   // Closures for privacy and state management
   closuresAndPrivacy() {
     // Counter with private state
@@ -62,307 +65,387 @@ Private state is completely encapsulated!`
   }
 
   // Memoization for performance optimization
-  memoizationPattern() {
-    // Generic memoization function
-    const memoize = (fn, keyGenerator = (...args) => JSON.stringify(args)) => {
-      const cache = new Map()
-
-      return (...args) => {
-        const key = keyGenerator(...args)
-
-        if (cache.has(key)) {
-          return { result: cache.get(key), cached: true }
-        }
-
-        const result = fn(...args)
-        cache.set(key, result)
-        return { result, cached: false }
-      }
+  async memoizationPattern() {
+    // Recursion only benefits when the function calls its memoized self, not a fresh wrapper
+    let naiveCalls = 0
+    const naiveFibonacci = (n) => {
+      naiveCalls++
+      return n <= 1 ? n : naiveFibonacci(n - 1) + naiveFibonacci(n - 2)
     }
 
-    // Expensive calculation function
+    let memoCalls = 0
     const fibonacci = memoize((n) => {
-      if (n <= 1) return n
-      const fib = memoize(fibonacci)
-      return fib(n - 1).result + fib(n - 2).result
+      memoCalls++
+      return n <= 1 ? n : fibonacci(n - 1) + fibonacci(n - 2)
+    })
+
+    const naiveResult = naiveFibonacci(25)
+    const memoResult = fibonacci(25)
+    const callsAfterFirst = memoCalls
+    fibonacci(25)
+
+    // Object arguments are compared by identity and held weakly - cycles and functions are fine
+    const processData = memoize((data) => data.map((item) => item * 2).reduce((a, b) => a + b, 0))
+    const numbers = [1, 2, 3, 4, 5]
+    const node = { name: "root" }
+    node.self = node
+    const describe = memoize((value, format) => format(value.name))
+    processData(numbers)
+    processData(numbers)
+    processData([1, 2, 3, 4, 5])
+    const described = describe(node, (name) => name.toUpperCase())
+
+    // A bounded cache evicts the least recently used entry
+    const square = memoize((n) => n * n, { maxSize: 3 })
+    ;[1, 2, 3, 1, 4, 5, 1].forEach((n) => square(n))
+
+    // Entries expire after their TTL, measured on a virtual clock here
+    const clock = new VirtualClock()
+    const price = memoize((symbol) => `${symbol}@${clock.now()}ms`, { ttl: 1000, scheduler: clock })
+    const quotes = [0, 500, 1200].map((time) => {
+      clock.advanceTo(time)
+      return price("ES6")
     })
 
-    // Complex object processing
-    const processData = memoize((data) => {
-      // Simulate expensive operation
-      return data.map((item) => item * 2).reduce((a, b) => a + b, 0)
+    // Concurrent calls for the same key share one in-flight request
+    let requests = 0
+    const fetchUser = memoize(async (id) => {
+      requests++
+      await Promise.resolve()
+      return { id, name: `User ${id}` }
     })
+    const users = await Promise.all([fetchUser(7), fetchUser(7), fetchUser(7)])
 
-    const fib10First = fibonacci(10)
-    const fib10Second = fibonacci(10)
-    const dataResult = processData([1, 2, 3, 4, 5])
+    const percent = (rate) => `${Math.round(rate * 100)}%`
 
     return `⚡ Memoization Pattern:
-Fibonacci(10) first call: ${fib10First.result} (cached: ${fib10First.cached})
-Fibonacci(10) second call: ${fib10Second.result} (cached: ${fib10Second.cached})
-Data processing result: ${dataResult.result}`
+Fibonacci(25) = ${memoResult} (naive: ${naiveResult})
+Calls without memoization: ${naiveCalls.toLocaleString("en-US")}
+Calls with memoization: ${callsAfterFirst}, then ${memoCalls - callsAfterFirst} on a repeat call
+processData: ${processData.stats().hits} hit, ${processData.stats().misses} misses (an equal but new array is a new key)
+Cyclic object + function arguments: ${described} (JSON.stringify would throw)
+LRU (maxSize 3): ${square.stats().evictions} evictions, hit rate ${percent(square.stats().hitRate)}
+TTL 1000ms: ${quotes.join(", ")}
+Async dedupe: ${users.length} concurrent calls, ${requests} request, ${fetchUser.stats().deduped} shared`
   }
 
   // Observer pattern implementation
-  observerPattern() {
-    class EventEmitter {
-      constructor() {
-        this.events = new Map()
-      }
-
-      on(event, callback) {
-        if (!this.events.has(event)) {
-          this.events.set(event, [])
-        }
-        this.events.get(event).push(callback)
-
-        // Return unsubscribe function
-        return () => {
-          const callbacks = this.events.get(event)
-          const index = callbacks.indexOf(callback)
-          if (index > -1) callbacks.splice(index, 1)
-        }
-      }
-
-      emit(event, data) {
-        const callbacks = this.events.get(event) || []
-        const results = callbacks.map((callback) => callback(data))
-        return results
-      }
-
-      once(event, callback) {
-        const unsubscribe = this.on(event, (data) => {
-          callback(data)
-          unsubscribe()
-        })
-        return unsubscribe
-      }
+  async observerPattern() {
+    // Record which listeners each emit reached, for the flow chart
+    const steps = []
+    const warnings = []
+    const errors = []
+    const emitter = new EventEmitter({
+      maxListeners: 3,
+      onTrace: (call) => steps.at(-1).calls.push(call),
+      onError: (error, { event }) => errors.push(`${event}: ${error.message}`),
+      warn: (message) => warnings.push(message),
+    })
+    const emit = (event, payload) => {
+      steps.push({ event, calls: [] })
+      return emitter.emit(event, payload)
+    }
+    const emitAsync = (event, payload) => {
+      steps.push({ event, calls: [] })
+      return emitter.emitAsync(event, payload)
     }
 
-    const emitter = new EventEmitter()
     const messages = []
 
-    // Subscribe to events
-    emitter.on("user:login", (user) => {
-      messages.push(`User ${user.name} logged in`)
-    })
-
-    emitter.on("user:logout", (user) => {
-      messages.push(`User ${user.name} logged out`)
-    })
-
-    emitter.once("system:startup", () => {
-      messages.push("System started (one-time event)")
-    })
-
-    // Emit events
-    emitter.emit("system:startup")
-    emitter.emit("user:login", { name: "John" })
-    emitter.emit("user:logout", { name: "John" })
-    emitter.emit("system:startup") // Won't trigger again
+    // "**" hears every event; priority 10 makes it run before everything else
+    emitter.on("**", (payload, event) => messages.push(`[audit] ${event}`), { name: "audit", priority: 10 })
+
+    const greet = (user) => messages.push(`User ${user.name} logged in`)
+    emitter.on("user:login", greet, { name: "greet" })
+    emitter.on("user:logout", (user) => messages.push(`User ${user.name} logged out`), { name: "farewell" })
+
+    // A namespace wildcard: one listener for every user:* event
+    let sessionEvents = 0
+    emitter.on("user:*", () => sessionEvents++, { name: "sessions" })
+
+    // A failing listener with low priority - the others still run
+    emitter.on(
+      "user:login",
+      () => {
+        throw new Error("profile service unavailable")
+      },
+      { name: "loadProfile", priority: -1 },
+    )
+
+    // Two one-time listeners: removing the first mid-emit must not skip the second
+    emitter.once("system:startup", () => messages.push("System started (one-time event)"), { name: "startup" })
+    emitter.once("system:startup", () => messages.push("Caches warmed (one-time event)"), { name: "warmCaches" })
+
+    // Async listeners are awaited one after another, in priority order
+    const orderLog = []
+    emitter.on(
+      "order:placed",
+      async (order) => {
+        await Promise.resolve()
+        orderLog.push(`saved #${order.id}`)
+      },
+      { name: "saveOrder", priority: 1 },
+    )
+    emitter.on("order:placed", async (order) => orderLog.push(`emailed #${order.id}`), { name: "sendEmail" })
+
+    emit("system:startup")
+    emit("user:login", { name: "John" })
+    emit("user:logout", { name: "John" })
+    emit("system:startup") // Won't trigger the one-time listeners again
+    await emitAsync("order:placed", { id: 42 })
+
+    // off() removes a listener; it no longer hears user:login
+    emitter.off("user:login", greet)
+    emit("user:login", { name: "Ada" })
+
+    // A fourth listener on one event trips the maxListeners warning
+    for (let i = 0; i < 4; i++) emitter.on("tick", () => {}, { name: `tick${i}` })
+
+    this.eventFlow = steps
+
+    const symbols = { ok: "✓", error: "✗", skipped: "–" }
+    const flow = steps
+      .map(({ event, calls }, i) => {
+        const reached = calls.map(({ name, status }) => `${name} ${symbols[status]}`).join(", ")
+        return `#${i + 1} ${event} → ${reached || "(no listeners)"}`
+      })
+      .join("\n")
 
     return `👁️ Observer Pattern:
-Events fired: ${messages.length}
+Events fired: ${steps.length}
+Flow (highest priority first):
+${flow}
 Messages:
-${messages.map((msg) => `• ${msg}`).join("\n")}`
+${messages.map((msg) => `• ${msg}`).join("\n")}
+user:* events counted: ${sessionEvents}
+Async order: ${orderLog.join(" → ")}
+Isolated errors: ${errors.join("; ")}
+Warning: ${warnings[0] ?? "none"}`
   }
 
-  // Module pattern with namespace
-  modulePattern() {
-    const UserModule = (() => {
-      // Private variables
-      const users = []
-      let currentId = 1
-
-      // Private methods
-      const validateUser = (user) => {
-        return user.name && user.email && user.email.includes("@")
-      }
-
-      const generateId = () => currentId++
-
-      // Public API
-      return {
-        create(userData) {
-          if (!validateUser(userData)) {
-            throw new Error("Invalid user data")
-          }
-
-          const user = {
-            id: generateId(),
-            ...userData,
-            createdAt: new Date().toISOString(),
-          }
-
-          users.push(user)
-          return user
-        },
-
-        findById(id) {
-          return users.find((user) => user.id === id)
-        },
+  // Module pattern: the user repository keeps its records, indexes and storage private
+  async modulePattern() {
+    const storage = createMemoryAdapter()
+    const users = new UserRepository(storage)
+    const changes = []
+    users.on("user:*", ({ user }, event) => changes.push(`${event.slice("user:".length)} #${user.id}`))
+
+    users.create({ name: "John", email: "john@example.com", role: "admin" })
+    const jane = users.create({ name: "Jane", email: "jane@example.com", role: "editor" })
+    ;["Bob", "Alice", "Eve", "Mallory"].forEach((name, i) =>
+      users.create({ name, email: `${name.toLowerCase()}@example.com`, active: i % 2 === 0 }),
+    )
+
+    // Emails are unique regardless of case; every broken rule is reported
+    let rejected = "accepted"
+    try {
+      users.create({ name: "", email: "JOHN@example.com" })
+    } catch (error) {
+      rejected = error.violations.map(({ path, rule }) => `${path} ${rule}`).join(", ")
+    }
 
-        getAll() {
-          return users.map((user) => ({ ...user })) // Return copies
-        },
+    users.update(jane.id, { role: "admin" })
+    users.delete(users.findByEmail("mallory@example.com").id)
 
-        count() {
-          return users.length
-        },
+    const admins = users.query({ where: { role: "admin" }, sort: "name" })
+    const page = users.query({ filter: ({ active }) => active, sort: "-name", page: 1, pageSize: 2 })
 
-        // Expose only safe private methods
-        isValid: validateUser,
-      }
-    })()
-
-    // Use the module
-    const user1 = UserModule.create({ name: "John", email: "john@example.com" })
-    const user2 = UserModule.create({ name: "Jane", email: "jane@example.com" })
+    // Writes are saved in the background; flush() waits for them before reopening
+    await users.flush()
+    const reopened = await UserRepository.open(storage)
 
-    return `🏗️ Module Pattern:
-Created Users: ${UserModule.count()}
-User 1: ${user1.name} (ID: ${user1.id})
-User 2: ${user2.name} (ID: ${user2.id})
+    return `🏗️ Module Pattern (user repository):
+Created Users: ${users.count()}
+Duplicate email rejected: ${rejected}
+Admins via the ${admins.index} index: ${admins.items.map(({ name }) => name).join(", ")}
+Active users, page ${page.page}/${page.pages} by name descending: ${page.items.map(({ name }) => name).join(", ")}
+Change events: ${changes.join(", ")}
+Reopened from storage: ${reopened.count()} users, Jane is ${reopened.findByEmail("jane@example.com").role}
 Private state is completely encapsulated!`
   }
 
   // Proxy pattern for advanced object behavior
   proxyPattern() {
-    // Smart object with validation and logging
-    const createSmartObject = (target = {}) => {
-      const accessLog = []
-
-      return new Proxy(target, {
-        get(obj, prop) {
-          accessLog.push(`GET: ${prop}`)
-
-          // Dynamic property generation
-          if (prop.startsWith("is") && prop.length > 2) {
-            const property = prop.slice(2).toLowerCase()
-            return () => obj[property] !== undefined
-          }
-
-          return obj[prop]
-        },
-
-        set(obj, prop, value) {
-          accessLog.push(`SET: ${prop} = ${value}`)
-
-          // Validation
-          if (prop === "age" && (value < 0 || value > 150)) {
-            throw new Error("Invalid age value")
-          }
-
-          if (prop === "email" && !value.includes("@")) {
-            throw new Error("Invalid email format")
-          }
-
-          obj[prop] = value
-          return true
+    // The schema declares the rules; the proxy checks every write against them
+    const userSchema = {
+      id: { type: "integer", required: true, readonly: true },
+      name: { type: "string", required: true, minLength: 2, maxLength: 40 },
+      age: { type: "integer", min: 0, max: 150 },
+      email: {
+        type: "string",
+        required: true,
+        pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+        message: "must be an email address",
+      },
+      role: { type: "string", enum: ["reader", "editor", "admin"] },
+      address: {
+        type: "object",
+        properties: {
+          city: { type: "string", required: true },
+          zip: { type: "string", pattern: /^\d{5}$/, message: "must be 5 digits" },
         },
+      },
+      tags: { type: "array", maxItems: 3, items: { type: "string", minLength: 1 } },
+      password: {
+        type: "string",
+        validate: (value, user) => !value.includes(user.name) || "must not contain the user's name",
+      },
+    }
 
-        has(obj, prop) {
-          accessLog.push(`HAS: ${prop}`)
-          return prop in obj
-        },
+    // Collects the rules a failed write broke, as "path rule" pairs
+    const attempt = (write) => {
+      try {
+        write()
+        return "accepted"
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error
+        return error.violations.map(({ path, rule }) => `${path} ${rule}`).join(", ")
+      }
+    }
 
-        ownKeys(obj) {
-          // Add virtual property
-          return [...Object.keys(obj), "accessLog"]
-        },
+    const user = createValidatedObject(userSchema, {
+      id: 1,
+      name: "John",
+      email: "john@example.com",
+      address: { city: "Lisbon" },
+      tags: ["admin"],
+    })
 
-        getOwnPropertyDescriptor(obj, prop) {
-          if (prop === "accessLog") {
-            return {
-              enumerable: true,
-              configurable: true,
-              value: accessLog,
-            }
-          }
-          return Object.getOwnPropertyDescriptor(obj, prop)
-        },
-      })
+    const changes = []
+    subscribe(user, "**", ({ type, path, value }) => changes.push(`${type} ${path}=${JSON.stringify(value)}`))
+    const cityChanges = []
+    const unsubscribeCity = subscribe(user, "address.city", ({ value }) => cityChanges.push(value))
+
+    user.age = 30
+    user.address.city = "Porto"
+    user.tags.push("ops")
+    unsubscribeCity()
+    user.address.city = "Faro"
+
+    // Every violated rule is reported, not just the first
+    const rejected = {
+      age: attempt(() => (user.age = 150.5)),
+      email: attempt(() => (user.email = "john.example.com")),
+      id: attempt(() => (user.id = 2)),
+      zip: attempt(() => (user.address.zip = "12-34")),
+      tags: attempt(() => (user.tags = ["ops", "", "qa", "dev"])),
+      password: attempt(() => (user.password = "John1234")),
+      deleteName: attempt(() => delete user.name),
+      creation: attempt(() => createValidatedObject(userSchema, { id: "7", name: "J", role: "owner" })),
     }
 
-    const smartUser = createSmartObject()
-    smartUser.name = "John"
-    smartUser.age = 30
-    smartUser.email = "john@example.com"
+    // Symbol keys (Symbol.toPrimitive, Symbol.iterator) pass straight through instead of crashing
+    const symbolAccess = `${String(user)}, tags: ${[...user.tags].join("+")}`
+    const hasName = "name" in user
 
-    const hasName = "name" in smartUser
-    const isName = smartUser.isName()
-    const log = smartUser.accessLog
+    // The access log doubles as the undo history
+    user.name = "Johnny"
+    user.role = "editor"
+    const beforeUndo = `${user.name}/${user.role}`
+    const undone = undo(user, 3)
+    const log = formatAccessLog(user)
 
-    return `🎭 Proxy Pattern:
-User Name: ${smartUser.name}
+    return `🎭 Proxy Pattern (schema-validated object):
+User: ${user.name}, age ${user.age}, ${user.email}, city ${user.address.city}, tags ${JSON.stringify(user.tags)}
 Has Name: ${hasName}
-Is Name (dynamic): ${isName}
+Symbol access: ${symbolAccess}
+Rejected writes:
+${Object.entries(rejected)
+  .map(([write, outcome]) => `  ${write}: ${outcome}`)
+  .join("\n")}
+Changes seen by "**": ${changes.slice(0, 4).join(", ")}
+City subscriber (unsubscribed before Faro): ${cityChanges.join(", ")}
+Undo: ${beforeUndo} -> ${undone} writes undone -> ${user.name}/${user.role ?? "no role"}, city ${user.address.city}
 Access Log: ${log.slice(-3).join(", ")}
 Total Operations: ${log.length}`
   }
 
-  getSourceCode() {
-    return `
-// Advanced JavaScript Patterns
-
-// 1. Closures for Privacy
-const createCounter = (initialValue = 0) => {
-    let count = initialValue; // Private variable
-    let history = [];
-    
-    return {
-        increment: (step = 1) => {
-            count += step;
-            history.push(\`+\${step}\`);
-            return count;
+  // Proxy and observer together: a store whose outputs re-render only when their value changes
+  reactiveStore() {
+    let subtotalRuns = 0
+    const store = new ReactiveStore({
+      state: { user: { name: "Ada" }, cart: { items: [{ price: 20, quantity: 1 }], coupon: "" } },
+      computed: {
+        subtotal: ({ cart }) => {
+          subtotalRuns++
+          return cart.items.reduce((sum, { price, quantity }) => sum + price * quantity, 0)
         },
-        getValue: () => count,
-        getHistory: () => [...history] // Return copy
-    };
-};
-
-// 2. Memoization Pattern
-const memoize = (fn, keyGenerator = (...args) => JSON.stringify(args)) => {
-    const cache = new Map();
-    return (...args) => {
-        const key = keyGenerator(...args);
-        if (cache.has(key)) return cache.get(key);
-        const result = fn(...args);
-        cache.set(key, result);
-        return result;
-    };
-};
-
-// 3. Observer Pattern
-class EventEmitter {
-    constructor() { this.events = new Map(); }
-    
-    on(event, callback) {
-        if (!this.events.has(event)) this.events.set(event, []);
-        this.events.get(event).push(callback);
-    }
-    
-    emit(event, data) {
-        const callbacks = this.events.get(event) || [];
-        callbacks.forEach(callback => callback(data));
-    }
-}
+        total: ({ cart }, { subtotal }) => (cart.coupon === "ES6" ? subtotal * 0.9 : subtotal),
+      },
+    })
 
-// 4. Module Pattern
-const UserModule = (() => {
-    let users = []; // Private
-    
-    return {
-        create(userData) { /* public method */ },
-        findById(id) { /* public method */ }
-    };
-})();
-
-// 5. Proxy Pattern
-const smartObject = new Proxy(target, {
-    get(obj, prop) { /* intercept property access */ },
-    set(obj, prop, value) { /* intercept property setting */ }
-});
-        `
+    // Stand-ins for DOM elements that count how often they are written
+    const renders = {}
+    const output = (name) => ({
+      set textContent(text) {
+        renders[name] = (renders[name] ?? 0) + 1
+        this.text = text
+      },
+    })
+    const outputs = { greeting: output("greeting"), items: output("items"), total: output("total") }
+    bind(store, outputs.greeting, (state) => `Hi ${state.user.name}`)
+    bind(store, outputs.items, (state) => state.cart.items.length, { format: (count) => `${count} items` })
+    bind(store, outputs.total, "computed.total", { format: (total) => `$${total.toFixed(2)}` })
+    const renderCounts = () =>
+      Object.entries(renders)
+        .map(([name, count]) => `${name} ${count}`)
+        .join(", ")
+
+    const steps = []
+    store.state.user.name = "Grace"
+    steps.push(`rename: ${renderCounts()}`)
+    store.state.cart.items[0].quantity = 3
+    steps.push(`quantity: ${renderCounts()}`)
+    // Three writes, one render per affected output
+    store.batch((state) => {
+      state.cart.items.push({ price: 5, quantity: 2 })
+      state.cart.coupon = "ES6"
+      state.cart.items[0].price = 25
+    }, "add item + coupon")
+    steps.push(`batch: ${renderCounts()}`)
+    // Writing the same value again changes nothing
+    store.state.cart.coupon = "ES6"
+
+    // Computed values are cached until a dependency changes
+    const runsBeforeReads = subtotalRuns
+    const cachedReads = [store.computed.subtotal, store.computed.subtotal, store.computed.subtotal]
+    const runsForReads = subtotalRuns - runsBeforeReads
+    const history = store.history.map(({ label }) => label)
+    const totalNow = outputs.total.text
+    store.undo()
+    const afterUndo = `${outputs.total.text}, ${outputs.items.text}`
+    store.travel(0)
+    const atStart = `${outputs.greeting.text}, ${outputs.total.text}`
+    store.redo()
+
+    return `🔁 Reactive Store:
+${steps.join("\n")}
+Total: ${totalNow} (subtotal ${cachedReads[0]} read ${cachedReads.length}x, recomputed ${runsForReads} times)
+History: ${history.join(" -> ")}
+Undo the batch: ${afterUndo}
+Travel to the start: ${atStart}
+Redo: ${outputs.greeting.text}, ${outputs.total.text}
+Final renders: ${renderCounts()}`
+  }
+
+  // The observer example's event flow as a listener-by-event grid
+  getExampleCharts({ id, title }) {
+    if (id !== "observerPattern" || !this.eventFlow) return []
+
+    const names = [...new Set(this.eventFlow.flatMap(({ calls }) => calls.map(({ name }) => name)))]
+    const svg = flowChart({
+      title: `${title} - which listeners each emit reached`,
+      steps: this.eventFlow.map(({ event }, i) => ({ label: `#${i + 1} ${event}` })),
+      lanes: names.map((name) => ({
+        name,
+        cells: this.eventFlow.map(({ event, calls }) => {
+          const call = calls.find((entry) => entry.name === name)
+          if (!call) return null
+          const detail = call.error ? `: ${call.error.message}` : ""
+          return { status: call.status, tooltip: `${name} (priority ${call.priority}, ${call.pattern}) on ${event}${detail}` }
+        }),
+      })),
+    })
+    return [{ id, title, svg }]
   }
 }
@@ -1,6 +1,17 @@
 // Advanced Arrow Function Patterns Demo
-export class ArrowFunctionDemo {
+import { Demo } from "./demoBase.js"
+
+export class ArrowFunctionDemo extends Demo {
+  static examples = [
+    { id: "lexicalThisBinding", title: "Lexical This Binding" },
+    { id: "higherOrderFunctions", title: "Higher-Order Functions" },
+    { id: "functionalComposition", title: "Functional Composition" },
+    { id: "asyncArrowPatterns", title: "Async Arrow Functions" },
+    { id: "whenNotToUseArrows", title: "When NOT to Use Arrows" },
+  ]
+
   constructor() {
+    super()
     this.context = {
       name: "Dashboard",
       version: "1.0",
@@ -8,23 +19,6 @@ export class ArrowFunctionDemo {
     }
   }
 
-  async run() {
-    const examples = [
-      this.lexicalThisBinding(),
-      this.higherOrderFunctions(),
-      this.functionalComposition(),
-      this.asyncArrowPatterns(),
-      this.whenNotToUseArrows(),
-    ]
-
-    const output = examples.join("\n\n")
-
-    return {
-      output,
-      code: this.getSourceCode(),
-    }
-  }
-
   // Lexical this binding demonstration
   lexicalThisBinding() {
     const eventManager = {
@@ -174,49 +168,4 @@ Object Method: ${boundMethod()}
 Constructor Result: ${constructor.getName()}
 Arguments Example: ${argsResult}`
   }
-
-  getSourceCode() {
-    return `
-// Advanced Arrow Function Patterns
-
-// 1. Lexical This Binding
-const eventManager = {
-    events: [],
-    processEvents: function() {
-        // Arrow function preserves 'this' from outer scope
-        return this.events.map(event => \`\${this.name}: \${event}\`);
-    }
-};
-
-// 2. Higher-Order Functions
-const createValidator = (rule) => (value) => rule(value);
-const isPositive = createValidator(n => n > 0);
-
-// 3. Functional Composition
-const compose = (...fns) => (value) => 
-    fns.reduceRight((acc, fn) => fn(acc), value);
-
-const pipeline = compose(
-    Math.round,
-    addShipping,
-    addTax,
-    applyDiscount(0.1)
-);
-
-// 4. Async Arrow Functions
-const fetchData = async (url) => {
-    const response = await fetch(url);
-    return response.json();
-};
-
-// 5. Curried Functions
-const multiply = x => y => x * y;
-const double = multiply(2);
-
-// When NOT to use arrows:
-// - Object methods needing 'this'
-// - Constructors
-// - When you need 'arguments' object
-        `
-  }
 }
@@ -0,0 +1,261 @@
+// Async Utilities - a concurrency-limited task pool, a token-bucket rate limiter, retry with
+// exponential backoff and jitter, per-task timeouts, and AbortSignal cancellation throughout.
+// Tasks are functions that receive an AbortSignal and return a promise; a task that honours the
+// signal stops its work when it is cancelled or times out, instead of running on unobserved.
+// Timers come from a scheduler, as in timing.js, so tests can substitute fake ones.
+import { defaultScheduler } from "./timing.js"
+import { createRandom, getSeed } from "./random.js"
+
+// The same reasons AbortSignal.timeout() and AbortController.abort() use, so callers can tell a
+// timeout from a cancellation by error.name
+const timeoutError = (ms) => new DOMException(`Timed out after ${ms}ms`, "TimeoutError")
+const abortReason = (signal) => signal.reason ?? new DOMException("This operation was aborted", "AbortError")
+
+// Resolves after ms, or rejects with the signal's reason as soon as it aborts
+export const sleep = (ms, { signal, scheduler = defaultScheduler } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal))
+      return
+    }
+    const onAbort = () => {
+      scheduler.clearTimeout(timer)
+      reject(abortReason(signal))
+    }
+    const timer = scheduler.setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener("abort", onAbort, { once: true })
+  })
+
+// Runs task(signal) and rejects with a TimeoutError if it hasn't settled within ms. The signal
+// passed to the task aborts on timeout and whenever the outer signal does.
+export const withTimeout = (task, ms, { signal, scheduler = defaultScheduler } = {}) => {
+  const controller = new AbortController()
+  const forward = () => controller.abort(abortReason(signal))
+  if (signal?.aborted) forward()
+  else signal?.addEventListener("abort", forward, { once: true })
+
+  const timer = scheduler.setTimeout(() => controller.abort(timeoutError(ms)), ms)
+  const aborted = new Promise((_, reject) => {
+    if (controller.signal.aborted) reject(controller.signal.reason)
+    else controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true })
+  })
+
+  return Promise.race([Promise.resolve().then(() => task(controller.signal)), aborted]).finally(() => {
+    scheduler.clearTimeout(timer)
+    signal?.removeEventListener("abort", forward)
+  })
+}
+
+// One jitter stream per seed, shared by every retry, so concurrent retries don't back off in step
+// and a seeded run backs off identically every time
+let jitter = { seed: null, random: null }
+const jitterRandom = () => {
+  if (jitter.seed !== getSeed()) jitter = { seed: getSeed(), random: createRandom("async:jitter") }
+  return jitter.random
+}
+
+export const DEFAULT_RETRY_OPTIONS = { retries: 3, minDelay: 100, maxDelay: 5000, factor: 2, jitter: true }
+
+// minDelay * factor^attempt, capped at maxDelay. With jitter the wait is drawn uniformly from
+// [0, that] ("full jitter"), which spreads out clients that all failed at the same moment.
+export const backoffDelay = (attempt, options = {}) => {
+  const { minDelay, maxDelay, factor, jitter: useJitter, random = jitterRandom() } = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options,
+  }
+  const ceiling = Math.min(maxDelay, minDelay * factor ** attempt)
+  return useJitter ? random.next() * ceiling : ceiling
+}
+
+// Calls task(attempt, signal) until it resolves, it has failed retries + 1 times, or shouldRetry
+// says the error is permanent. Aborting the signal stops both the backoff wait and further attempts.
+export const retry = async (task, options = {}) => {
+  const {
+    retries,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    signal,
+    scheduler = defaultScheduler,
+    ...backoff
+  } = { ...DEFAULT_RETRY_OPTIONS, ...options }
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortReason(signal)
+    try {
+      return await task(attempt, signal)
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error, attempt)) throw error
+      const delay = backoffDelay(attempt, backoff)
+      onRetry({ error, attempt: attempt + 1, delay })
+      await sleep(delay, { signal, scheduler })
+    }
+  }
+}
+
+// Runs at most `concurrency` tasks at once and queues the rest in order. Aborting the pool's
+// signal rejects everything queued and aborts the signals of running tasks; a per-task signal
+// only cancels that task.
+export class TaskPool {
+  constructor({ concurrency = 4, signal } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new RangeError(`TaskPool concurrency must be a positive integer, got ${concurrency}`)
+    }
+    this.concurrency = concurrency
+    this.signal = signal
+    this.queue = []
+    this.running = 0
+    this.idleWaiters = []
+    this.counters = { started: 0, completed: 0, failed: 0, cancelled: 0, peakRunning: 0 }
+
+    signal?.addEventListener("abort", () => this.cancelQueued(abortReason(signal)), { once: true })
+  }
+
+  // Resolves or rejects with task(signal)'s outcome once the task gets a slot and finishes
+  run(task, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const signals = [this.signal, signal].filter(Boolean)
+      const aborted = signals.find((candidate) => candidate.aborted)
+      if (aborted) {
+        this.counters.cancelled++
+        reject(abortReason(aborted))
+        return
+      }
+
+      const entry = { task, signals, resolve, reject, signal }
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry)
+          if (index === -1) return
+          this.queue.splice(index, 1)
+          this.counters.cancelled++
+          reject(abortReason(signal))
+        }
+        signal.addEventListener("abort", entry.onAbort, { once: true })
+      }
+      this.queue.push(entry)
+      this.next()
+    })
+  }
+
+  // Maps items through fn with the pool's concurrency; results keep the input order
+  map(items, fn, options) {
+    return Promise.all([...items].map((item, index) => this.run((signal) => fn(item, index, signal), options)))
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.start(this.queue.shift())
+    }
+    if (this.running === 0 && this.queue.length === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve())
+    }
+  }
+
+  async start({ task, signals, resolve, reject, signal: callerSignal, onAbort }) {
+    callerSignal?.removeEventListener("abort", onAbort)
+    // The task sees one signal that aborts when either the pool or the caller cancels
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : (signals[0] ?? new AbortController().signal)
+    this.running++
+    this.counters.started++
+    this.counters.peakRunning = Math.max(this.counters.peakRunning, this.running)
+
+    try {
+      resolve(await task(signal))
+      this.counters.completed++
+    } catch (error) {
+      this.counters[signal.aborted ? "cancelled" : "failed"]++
+      reject(error)
+    } finally {
+      this.running--
+      this.next()
+    }
+  }
+
+  cancelQueued(reason) {
+    this.queue.splice(0).forEach(({ reject }) => {
+      this.counters.cancelled++
+      reject(reason)
+    })
+    this.next()
+  }
+
+  // Resolves once nothing is running or queued
+  onIdle() {
+    if (this.running === 0 && this.queue.length === 0) return Promise.resolve()
+    return new Promise((resolve) => this.idleWaiters.push(resolve))
+  }
+
+  get stats() {
+    return { ...this.counters, running: this.running, queued: this.queue.length }
+  }
+}
+
+// Token bucket: up to `burst` calls go through at once, then tokens refill at `rate` per
+// `interval` ms. Waiters are served in arrival order.
+export class RateLimiter {
+  constructor({ rate, interval = 1000, burst = rate, scheduler = defaultScheduler } = {}) {
+    if (!(rate > 0) || !(interval > 0) || !(burst >= 1)) {
+      throw new RangeError("RateLimiter needs rate > 0, interval > 0 and burst >= 1")
+    }
+    this.rate = rate
+    this.interval = interval
+    this.burst = burst
+    this.scheduler = scheduler
+    this.tokens = burst
+    this.updated = scheduler.now()
+    this.waiters = []
+    this.timer = null
+  }
+
+  refill() {
+    const now = this.scheduler.now()
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updated) * this.rate) / this.interval)
+    this.updated = now
+  }
+
+  // Resolves when a token has been taken for the caller
+  acquire({ signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortReason(signal))
+        return
+      }
+      const waiter = { resolve, reject, signal }
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiters = this.waiters.filter((other) => other !== waiter)
+          reject(abortReason(signal))
+        }
+        signal.addEventListener("abort", waiter.onAbort, { once: true })
+      }
+      this.waiters.push(waiter)
+      this.drain()
+    })
+  }
+
+  // acquire() then run task(signal)
+  async schedule(task, { signal } = {}) {
+    await this.acquire({ signal })
+    return task(signal)
+  }
+
+  drain() {
+    this.refill()
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      const { resolve, signal, onAbort } = this.waiters.shift()
+      signal?.removeEventListener("abort", onAbort)
+      this.tokens--
+      resolve()
+    }
+    if (this.waiters.length > 0 && this.timer === null) {
+      const wait = ((1 - this.tokens) * this.interval) / this.rate
+      this.timer = this.scheduler.setTimeout(() => {
+        this.timer = null
+        this.drain()
+      }, Math.ceil(wait))
+    }
+  }
+}
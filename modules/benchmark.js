@@ -0,0 +1,178 @@
+// Benchmark Harness - warmup, calibrated batches, outlier rejection and summary statistics
+// Times are per call in milliseconds. Fast functions run in batches long enough for the clock
+// to resolve, so a result is never 0ms and ratios between results stay finite.
+
+export const DEFAULT_BENCHMARK_OPTIONS = {
+  warmup: 5, // untimed calls before sampling, so the JIT has settled
+  samples: 30, // target number of timed samples
+  minSamples: 5, // always collected, even past maxTime
+  minSampleTime: 1, // ms a batch must take before it counts as one sample
+  maxTime: 250, // ms budget for sampling
+}
+
+// Two-sided 95% Student t critical values for 1-30 degrees of freedom; beyond that the normal value
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131, 2.12,
+  2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+]
+const tCritical = (df) => (df < 1 ? NaN : (T_95[Math.ceil(df) - 1] ?? 1.96))
+
+const isThenable = (value) => typeof value?.then === "function"
+
+// Linear interpolation between closest ranks; expects sorted input
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * p
+  const lower = Math.floor(index)
+  const upper = Math.ceil(index)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)
+}
+
+// Tukey's fences: drop samples more than 1.5 IQR outside the quartiles (GC pauses, timer hiccups)
+export const rejectOutliers = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b)
+  if (sorted.length < 4) return sorted
+
+  const q1 = percentile(sorted, 0.25)
+  const q3 = percentile(sorted, 0.75)
+  const fence = (q3 - q1) * 1.5
+  return sorted.filter((value) => value >= q1 - fence && value <= q3 + fence)
+}
+
+export const summarize = (samples) => {
+  if (samples.length === 0) {
+    throw new RangeError("Cannot summarize an empty sample")
+  }
+
+  const kept = rejectOutliers(samples)
+  const n = kept.length
+  const mean = kept.reduce((sum, value) => sum + value, 0) / n
+  const variance = n > 1 ? kept.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1) : 0
+  const stddev = Math.sqrt(variance)
+  const sem = stddev / Math.sqrt(n)
+
+  return {
+    samples: n,
+    rejected: samples.length - n,
+    mean,
+    median: percentile(kept, 0.5),
+    // Interquartile range: where the middle half of the samples fall
+    p25: percentile(kept, 0.25),
+    p75: percentile(kept, 0.75),
+    p95: percentile(kept, 0.95),
+    min: kept[0],
+    max: kept[n - 1],
+    stddev,
+    sem,
+    // Relative margin of error of the mean at 95% confidence, in percent
+    rme: n > 1 && mean > 0 ? ((tCritical(n - 1) * sem) / mean) * 100 : 0,
+    opsPerSec: mean > 0 ? 1000 / mean : Infinity,
+  }
+}
+
+const timeBatch = async (fn, size, async) => {
+  const started = performance.now()
+  if (async) {
+    for (let i = 0; i < size; i++) await fn()
+  } else {
+    for (let i = 0; i < size; i++) fn()
+  }
+  return performance.now() - started
+}
+
+// Double the batch size until one batch is long enough to time reliably
+const calibrate = async (fn, async, minSampleTime) => {
+  let size = 1
+  let elapsed = await timeBatch(fn, size, async)
+  while (elapsed < minSampleTime && size < 2 ** 24) {
+    size *= 2
+    elapsed = await timeBatch(fn, size, async)
+  }
+  return size
+}
+
+// Resolves with summary statistics of fn's per-call time; async functions are awaited per call
+export const benchmark = async (fn, options = {}) => {
+  const { warmup, samples, minSamples, minSampleTime, maxTime } = { ...DEFAULT_BENCHMARK_OPTIONS, ...options }
+
+  const first = fn()
+  const async = isThenable(first)
+  if (async) await first
+  for (let i = 1; i < warmup; i++) await timeBatch(fn, 1, async)
+
+  const batchSize = await calibrate(fn, async, minSampleTime)
+  const times = []
+  const started = performance.now()
+
+  while (times.length < minSamples || (times.length < samples && performance.now() - started < maxTime)) {
+    times.push((await timeBatch(fn, batchSize, async)) / batchSize)
+  }
+
+  return { ...summarize(times), batchSize }
+}
+
+// Benchmarks each named candidate in turn: benchmarkAll({ linear: () => ..., binary: () => ... })
+export const benchmarkAll = async (candidates, options) => {
+  const results = {}
+  for (const [name, fn] of Object.entries(candidates)) {
+    results[name] = await benchmark(fn, options)
+  }
+  return results
+}
+
+// How many times faster candidate is than baseline, with a 95% confidence interval.
+// The ratio's standard error uses the delta method; degrees of freedom follow Welch-Satterthwaite.
+export const compare = (baseline, candidate) => {
+  const speedup = baseline.mean / candidate.mean
+  const relA = baseline.sem / baseline.mean
+  const relB = candidate.sem / candidate.mean
+  const se = speedup * Math.sqrt(relA ** 2 + relB ** 2)
+
+  const varA = baseline.sem ** 2
+  const varB = candidate.sem ** 2
+  const df =
+    varA + varB > 0
+      ? (varA + varB) ** 2 / (varA ** 2 / (baseline.samples - 1) + varB ** 2 / (candidate.samples - 1))
+      : Infinity
+  const margin = tCritical(df) * se
+  const low = speedup - margin
+  const high = speedup + margin
+
+  return {
+    speedup,
+    low,
+    high,
+    // Significant only when the whole interval sits on one side of "equally fast"
+    significant: low > 1 || high < 1,
+  }
+}
+
+export const formatTime = (ms) => {
+  if (!Number.isFinite(ms)) return String(ms)
+  if (ms >= 1000) return `${(ms / 1000).toFixed(2)}s`
+  if (ms >= 1) return `${ms.toFixed(2)}ms`
+  if (ms >= 0.001) return `${(ms * 1000).toFixed(2)}µs`
+  return `${(ms * 1e6).toFixed(1)}ns`
+}
+
+// Thousands separators regardless of locale, so CLI output and snapshots stay stable
+export const formatCount = (n) => n.toLocaleString("en-US")
+
+const formatOps = (ops) => (Number.isFinite(ops) ? formatCount(Math.round(ops)) : "∞")
+
+export const formatStats = ({ median, p95, stddev, rme, opsPerSec, samples, rejected }) => {
+  const outliers = rejected ? `, ${rejected} outlier${rejected === 1 ? "" : "s"}` : ""
+  return (
+    `median ${formatTime(median)} · p95 ${formatTime(p95)} · σ ${formatTime(stddev)} · ±${rme.toFixed(1)}% · ` +
+    `${formatOps(opsPerSec)} ops/s (n=${samples}${outliers})`
+  )
+}
+
+const formatRatio = (ratio) => (ratio >= 10 ? ratio.toFixed(0) : ratio.toFixed(2))
+
+export const formatComparison = ({ speedup, low, high, significant }) => {
+  const interval = `95% CI ${formatRatio(Math.max(low, 0))}x-${formatRatio(high)}x`
+  if (!significant) return `no significant difference (${formatRatio(speedup)}x, ${interval})`
+  return speedup >= 1
+    ? `${formatRatio(speedup)}x faster (${interval})`
+    : `${formatRatio(1 / speedup)}x slower (${formatRatio(speedup)}x, ${interval})`
+}
@@ -0,0 +1,50 @@
+// Built-in demo registrations
+import { DestructuringDemo } from "./destructuring.js"
+import { SpreadRestDemo } from "./spreadRest.js"
+import { ArrowFunctionDemo } from "./arrowFunctions.js"
+import { TemplateLiteralDemo } from "./templateLiterals.js"
+import { AdvancedPatternsDemo } from "./advancedPatterns.js"
+import { PerformanceDemo } from "./performance.js"
+import { DEFAULT_DATASET, DISTRIBUTIONS } from "./dataGenerator.js"
+
+// Works with anything exposing register(id, DemoClass, meta)
+export const registerBuiltinDemos = (target) => {
+  target.register("destructuring", DestructuringDemo, {
+    title: "Advanced Destructuring",
+    icon: "📦",
+    category: "Core Syntax",
+  })
+  target.register("spread-rest", SpreadRestDemo, {
+    title: "Spread & Rest",
+    icon: "📤",
+    category: "Core Syntax",
+  })
+  target.register("arrow-functions", ArrowFunctionDemo, {
+    title: "Arrow Functions",
+    icon: "🏹",
+    category: "Core Syntax",
+  })
+  target.register("template-literals", TemplateLiteralDemo, {
+    title: "Template Literals",
+    icon: "📝",
+    category: "Core Syntax",
+    input: { id: "user-name", type: "text", placeholder: "Type a name for a live preview" },
+  })
+  target.register("advanced-patterns", AdvancedPatternsDemo, {
+    title: "Advanced Patterns",
+    icon: "🧠",
+    category: "Patterns",
+  })
+  target.register("performance", PerformanceDemo, {
+    title: "Performance",
+    icon: "⚡",
+    category: "Optimization",
+    options: [
+      { id: "size", label: "Users", values: [10, 1000, 10000, 100000, 1000000], default: DEFAULT_DATASET.size },
+      { id: "distribution", label: "Scores", values: DISTRIBUTIONS, default: DEFAULT_DATASET.distribution },
+    ],
+    actions: [{ method: "sweep", label: "📈 Sweep Sizes" }],
+  })
+
+  return target
+}
@@ -0,0 +1,176 @@
+// Challenge Board - renders graded challenges and handles submissions
+import { challenges as defaultChallenges } from "./challenges.js"
+import { gradeChallenge } from "./grader.js"
+
+const escapeHtml = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+
+// Prompts use `backticks` for inline code
+const formatPrompt = (prompt) => escapeHtml(prompt).replace(/`([^`]+)`/g, "<code>$1</code>")
+
+export class ChallengeBoard {
+  constructor({ challenges = defaultChallenges, grade = gradeChallenge, progress = null } = {}) {
+    this.challenges = challenges
+    this.grade = grade
+    this.progress = progress
+    this.completed = new Set()
+    this.drafts = new Map()
+    this.activeId = null
+    this.syncFromProgress()
+
+    this.grid = document.getElementById("challenges-grid")
+    this.detail = document.getElementById("challenge-detail")
+    this.progressLabel = document.getElementById("challenge-progress")
+
+    this.grid?.addEventListener("click", this.handleGridClick)
+    this.detail?.addEventListener("click", this.handleDetailClick)
+    this.render()
+  }
+
+  // Completion and drafts come from the progress store when one is attached
+  syncFromProgress() {
+    if (!this.progress) return
+
+    this.completed = new Set(this.challenges.filter(({ id }) => this.progress.isCompleted(id)).map(({ id }) => id))
+    this.drafts = new Map(
+      this.challenges
+        .map(({ id }) => [id, this.progress.getSnippet(`challenge:${id}`)])
+        .filter(([, code]) => code !== null),
+    )
+  }
+
+  // Re-read everything after the underlying progress changed (e.g. an import)
+  refresh() {
+    this.syncFromProgress()
+    this.render()
+    if (this.activeId && this.editor) {
+      const challenge = this.challenges.find((entry) => entry.id === this.activeId)
+      this.editor.value = this.drafts.get(this.activeId) ?? challenge.starterCode
+    }
+  }
+
+  render() {
+    if (!this.grid) return
+
+    this.grid.innerHTML = this.challenges
+      .map(({ id, name, description }) => {
+        const completed = this.completed.has(id)
+        const active = id === this.activeId ? " active" : ""
+        return `
+          <button class="challenge-item${completed ? " completed" : ""}${active}" data-challenge="${id}">
+            <h4>${completed ? "✅" : "⏳"} ${name}</h4>
+            <p>${description}</p>
+          </button>`
+      })
+      .join("")
+
+    if (this.progressLabel) {
+      this.progressLabel.textContent = `${this.completed.size}/${this.challenges.length} passed`
+    }
+  }
+
+  handleGridClick = (event) => {
+    const item = event.target.closest("[data-challenge]")
+    if (item) this.open(item.dataset.challenge)
+  }
+
+  handleDetailClick = (event) => {
+    const action = event.target.closest("[data-challenge-action]")?.dataset.challengeAction
+    if (action === "submit") this.submit()
+    if (action === "reset") this.resetDraft()
+  }
+
+  open(id) {
+    const challenge = this.challenges.find((entry) => entry.id === id)
+    if (!challenge || !this.detail) return
+
+    this.saveDraft()
+    this.activeId = id
+    this.render()
+
+    this.detail.hidden = false
+    this.detail.innerHTML = `
+      <h3>${challenge.name}</h3>
+      <p class="challenge-prompt">${formatPrompt(challenge.prompt)}</p>
+      <textarea class="code-display code-editor challenge-editor" spellcheck="false"></textarea>
+      <div class="code-actions">
+        <button data-challenge-action="submit">✔ Submit</button>
+        <button data-challenge-action="reset">↺ Starter Code</button>
+      </div>
+      <div class="challenge-results"></div>`
+
+    this.editor.value = this.drafts.get(id) ?? challenge.starterCode
+  }
+
+  get editor() {
+    return this.detail?.querySelector(".challenge-editor")
+  }
+
+  saveDraft() {
+    const challenge = this.challenges.find((entry) => entry.id === this.activeId)
+    if (!challenge || !this.editor) return
+
+    if (this.editor.value === challenge.starterCode) {
+      this.drafts.delete(challenge.id)
+      this.progress?.clearSnippet(`challenge:${challenge.id}`)
+    } else {
+      this.drafts.set(challenge.id, this.editor.value)
+      this.progress?.saveSnippet(`challenge:${challenge.id}`, this.editor.value)
+    }
+  }
+
+  resetDraft() {
+    const challenge = this.challenges.find((entry) => entry.id === this.activeId)
+    if (challenge && this.editor) {
+      this.editor.value = challenge.starterCode
+      this.drafts.delete(challenge.id)
+      this.progress?.clearSnippet(`challenge:${challenge.id}`)
+    }
+  }
+
+  async submit() {
+    const challenge = this.challenges.find((entry) => entry.id === this.activeId)
+    if (!challenge) return
+
+    this.saveDraft()
+    const resultsPanel = this.detail.querySelector(".challenge-results")
+    resultsPanel.innerHTML = `<p class="challenge-running">Running hidden tests…</p>`
+
+    const report = await this.grade(challenge, this.editor.value)
+    const passedCount = report.results.filter(({ passed }) => passed).length
+
+    if (report.passed) {
+      this.completed.add(challenge.id)
+    }
+    this.progress?.recordAttempt(challenge.id, {
+      passed: report.passed,
+      passedCount,
+      total: report.results.length,
+    })
+
+    this.render()
+    resultsPanel.innerHTML = this.renderReport(report)
+    return report
+  }
+
+  // Passing tests only count; failing assertions are shown in full
+  renderReport({ passed, results }) {
+    const passedCount = results.filter((result) => result.passed).length
+    const failures = results
+      .filter((result) => !result.passed)
+      .map(({ name, expected, actual, error }) => {
+        const detail = error ? `Error: ${error}` : `Expected ${expected}, got ${actual}`
+        return `
+          <li class="challenge-failure">
+            <strong>✗ ${escapeHtml(name)}</strong>
+            <div>${escapeHtml(detail)}</div>
+          </li>`
+      })
+      .join("")
+
+    const summary = passed ? "🎉 All tests passed!" : `${passedCount}/${results.length} tests passed`
+
+    return `
+      <p class="${passed ? "success" : "error"}">${summary}</p>
+      ${failures ? `<ul class="challenge-failures">${failures}</ul>` : ""}`
+  }
+}
@@ -0,0 +1,266 @@
+// ES6+ Challenge Definitions
+// Each test's `check` is an expression evaluated after the submitted code; its value is
+// deep-compared with `expected`. Tests stay hidden until they fail.
+export const challenges = [
+  {
+    id: "arrow-compose",
+    name: "Arrow Functions",
+    description: "Compose functions right-to-left",
+    prompt: "Write an arrow function `compose(...fns)` that returns a function applying `fns` from right to left.",
+    starterCode: `const compose = (...fns) => (value) => {
+  // your code here
+}`,
+    tests: [
+      { name: "applies right-to-left", check: "compose((x) => x + 1, (x) => x * 2)(5)", expected: 11 },
+      { name: "works with a single function", check: 'compose((s) => s.toUpperCase())("es6")', expected: "ES6" },
+      { name: "returns the input when given no functions", check: "compose()(7)", expected: 7 },
+    ],
+  },
+  {
+    id: "object-destructuring",
+    name: "Object Destructuring",
+    description: "Nested destructuring with defaults",
+    prompt:
+      "Write `getPushSetting(settings)` that destructures `notifications.push` and defaults it to `true` - even when `notifications` is missing.",
+    starterCode: `const getPushSetting = (settings) => {
+  // your code here
+}`,
+    tests: [
+      {
+        name: "reads notifications.push",
+        check: "getPushSetting({ notifications: { push: false } })",
+        expected: false,
+      },
+      { name: "defaults push to true", check: "getPushSetting({ notifications: { email: true } })", expected: true },
+      { name: "survives missing notifications", check: "getPushSetting({})", expected: true },
+      { name: "uses destructuring", check: "/notifications\\s*:\\s*\\{/.test(String(getPushSetting))", expected: true },
+    ],
+  },
+  {
+    id: "array-destructuring",
+    name: "Array Destructuring",
+    description: "Split a list into head and tail",
+    prompt: "Write `headTail(list)` returning `{ head, tail }` using array destructuring with a rest element.",
+    starterCode: `const headTail = (list) => {
+  // your code here
+}`,
+    tests: [
+      { name: "splits a list", check: "headTail([1, 2, 3])", expected: { head: 1, tail: [2, 3] } },
+      { name: "handles a single item", check: 'headTail(["only"])', expected: { head: "only", tail: [] } },
+      { name: "handles an empty list", check: "headTail([]).tail", expected: [] },
+    ],
+  },
+  {
+    id: "spread-arrays",
+    name: "Spread Arrays",
+    description: "Merge arrays without duplicates",
+    prompt:
+      "Write `mergeUnique(...arrays)` that merges any number of arrays, keeping the first occurrence of each value.",
+    starterCode: `const mergeUnique = (...arrays) => {
+  // your code here
+}`,
+    tests: [
+      { name: "merges two arrays", check: "mergeUnique([1, 2], [3])", expected: [1, 2, 3] },
+      {
+        name: "drops duplicates in order",
+        check: 'mergeUnique(["a", "b"], ["b", "c", "a"])',
+        expected: ["a", "b", "c"],
+      },
+      { name: "accepts no arrays", check: "mergeUnique()", expected: [] },
+    ],
+  },
+  {
+    id: "spread-objects",
+    name: "Spread Objects",
+    description: "Merge options over defaults",
+    prompt:
+      'Write `withDefaults(options)` returning a new object with `{ theme: "light", pageSize: 10 }` overridden by `options`, without mutating `options`.',
+    starterCode: `const withDefaults = (options = {}) => {
+  // your code here
+}`,
+    tests: [
+      { name: "fills in defaults", check: "withDefaults()", expected: { theme: "light", pageSize: 10 } },
+      {
+        name: "options override defaults",
+        check: 'withDefaults({ theme: "dark" })',
+        expected: { theme: "dark", pageSize: 10 },
+      },
+      {
+        name: "does not mutate the input",
+        check: "(() => { const input = { pageSize: 5 }; withDefaults(input); return input })()",
+        expected: { pageSize: 5 },
+      },
+    ],
+  },
+  {
+    id: "template-literals",
+    name: "Template Literals",
+    description: "String interpolation with plurals",
+    prompt: 'Write `inboxMessage(name, count)` returning e.g. "Hello, Ada! You have 3 new messages" (singular for 1).',
+    starterCode: `const inboxMessage = (name, count) => {
+  // your code here
+}`,
+    tests: [
+      { name: "pluralises", check: 'inboxMessage("Ada", 3)', expected: "Hello, Ada! You have 3 new messages" },
+      {
+        name: "uses the singular for one",
+        check: 'inboxMessage("Bob", 1)',
+        expected: "Hello, Bob! You have 1 new message",
+      },
+      { name: "handles zero", check: 'inboxMessage("Cy", 0)', expected: "Hello, Cy! You have 0 new messages" },
+    ],
+  },
+  {
+    id: "multiline-strings",
+    name: "Multi-line Strings",
+    description: "Template literal formatting",
+    prompt:
+      "Write `formatCard({ title, body })` returning the title, a line of dashes as long as the title, and the body - one per line.",
+    starterCode: `const formatCard = ({ title, body }) => {
+  // your code here
+}`,
+    tests: [
+      { name: "formats a card", check: 'formatCard({ title: "ES6", body: "Fun" })', expected: "ES6\n---\nFun" },
+      {
+        name: "underline matches the title",
+        check: 'formatCard({ title: "Template", body: "" }).split("\\n")[1].length',
+        expected: 8,
+      },
+    ],
+  },
+  {
+    id: "let-vs-var",
+    name: "Let vs Var",
+    description: "Block scoping in loops",
+    prompt: "Write `makeCounters(n)` returning `n` functions where the i-th function returns `i`.",
+    starterCode: `const makeCounters = (n) => {
+  const counters = []
+  // your code here
+  return counters
+}`,
+    tests: [
+      { name: "captures each index", check: "makeCounters(3).map((counter) => counter())", expected: [0, 1, 2] },
+      { name: "returns n functions", check: "makeCounters(5).length", expected: 5 },
+    ],
+  },
+  {
+    id: "const-objects",
+    name: "Const Arrays",
+    description: "Const with mutable objects",
+    prompt:
+      "`const` doesn't freeze values. Write `deepFreeze(value)` that freezes an object and every nested object/array.",
+    starterCode: `const deepFreeze = (value) => {
+  // your code here
+}`,
+    tests: [
+      {
+        name: "returns the same object",
+        check: "(() => { const o = {}; return deepFreeze(o) === o })()",
+        expected: true,
+      },
+      { name: "freezes the top level", check: "Object.isFrozen(deepFreeze({ a: 1 }))", expected: true },
+      {
+        name: "freezes nested arrays",
+        check: "Object.isFrozen(deepFreeze({ list: [{ id: 1 }] }).list[0])",
+        expected: true,
+      },
+    ],
+  },
+  {
+    id: "default-parameters",
+    name: "Default Parameters",
+    description: "Function parameter defaults",
+    prompt: 'Write `createUser(name, role)` defaulting `name` to "Anonymous" and `role` to "User".',
+    starterCode: `const createUser = (name, role) => {
+  return { name, role }
+}`,
+    tests: [
+      { name: "applies both defaults", check: "createUser()", expected: { name: "Anonymous", role: "User" } },
+      {
+        name: "defaults skip undefined only",
+        check: 'createUser(undefined, "Admin")',
+        expected: { name: "Anonymous", role: "Admin" },
+      },
+      { name: "keeps null as a value", check: "createUser(null).name", expected: null },
+    ],
+  },
+  {
+    id: "rest-parameters",
+    name: "Rest Parameters",
+    description: "Collect remaining arguments",
+    prompt: "Write `sumAll(...numbers)` returning the sum of all arguments.",
+    starterCode: `const sumAll = () => {
+  // your code here
+}`,
+    tests: [
+      { name: "sums arguments", check: "sumAll(1, 2, 3)", expected: 6 },
+      { name: "sums nothing to zero", check: "sumAll()", expected: 0 },
+      { name: "uses a rest parameter", check: "/\\.\\.\\.\\s*\\w+/.test(String(sumAll))", expected: true },
+    ],
+  },
+  {
+    id: "array-methods",
+    name: "Array Methods",
+    description: "Map, filter with arrows",
+    prompt: "Write `totalActiveScore(users)` returning the sum of `score` for users with `active: true`.",
+    starterCode: `const totalActiveScore = (users) => {
+  // your code here
+}`,
+    tests: [
+      {
+        name: "sums active users",
+        check: "totalActiveScore([{ score: 5, active: true }, { score: 7, active: false }, { score: 1, active: true }])",
+        expected: 6,
+      },
+      { name: "handles no users", check: "totalActiveScore([])", expected: 0 },
+    ],
+  },
+  {
+    id: "object-shorthand",
+    name: "Object Shorthand",
+    description: "Property shorthand syntax",
+    prompt: 'Write `makePoint(x, y)` returning `{ x, y }` with a shorthand `toString()` method producing "(x, y)".',
+    starterCode: `const makePoint = (x, y) => {
+  // your code here
+}`,
+    tests: [
+      { name: "stores coordinates", check: "[makePoint(1, 2).x, makePoint(1, 2).y]", expected: [1, 2] },
+      { name: "formats as a string", check: "String(makePoint(3, 4))", expected: "(3, 4)" },
+    ],
+  },
+  {
+    id: "computed-properties",
+    name: "Computed Properties",
+    description: "Dynamic object keys",
+    prompt: "Write `toLookup(items, key)` returning an object mapping each item's `key` value to the item.",
+    starterCode: `const toLookup = (items, key) => {
+  // your code here
+}`,
+    tests: [
+      {
+        name: "indexes by key",
+        check: 'toLookup([{ id: "a", n: 1 }, { id: "b", n: 2 }], "id")',
+        expected: { a: { id: "a", n: 1 }, b: { id: "b", n: 2 } },
+      },
+      { name: "handles empty lists", check: 'toLookup([], "id")', expected: {} },
+    ],
+  },
+  {
+    id: "for-of",
+    name: "For...of Loop",
+    description: "Iterate over iterables",
+    prompt:
+      "Write `countChars(text)` returning an object with the count of each character, using `for...of` so emoji count once.",
+    starterCode: `const countChars = (text) => {
+  const counts = {}
+  // your code here
+  return counts
+}`,
+    tests: [
+      { name: "counts letters", check: 'countChars("aab")', expected: { a: 2, b: 1 } },
+      { name: "counts emoji as one character", check: 'countChars("😀😀")', expected: { "😀": 2 } },
+    ],
+  },
+]
+
+export const findChallenge = (id) => challenges.find((challenge) => challenge.id === id)
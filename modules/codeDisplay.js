@@ -1,17 +1,50 @@
 // Code Display Manager
+import { highlightLines } from "./syntaxHighlighter.js"
+import { formatValue } from "./playground.js"
+import { createSandbox } from "./sandbox.js"
+
 export class CodeDisplayManager {
-  constructor() {
-    this.codeDisplay = document.getElementById("code-display")
+  constructor({ sandbox = createSandbox(), progress = null } = {}) {
+    // Headless environments (Node CLI) have no document - every method becomes a no-op
+    const byId = (id) => (typeof document !== "undefined" ? document.getElementById(id) : null)
+    this.codeDisplay = byId("code-display")
+    this.codeEditor = byId("code-editor")
+    this.codeConsole = byId("code-console")
+    this.codeLabel = byId("code-label")
+    this.copyButton = byId("copy-code")
+    this.editButton = byId("edit-code")
+    this.runButton = byId("run-code")
+    this.resetButton = byId("reset-code")
+
+    this.sandbox = sandbox
+    this.progress = progress
+    this.feature = ""
+    this.originalCode = ""
     this.currentCode = ""
+    this.context = null
+    this.editing = false
+
+    this.copyButton?.addEventListener("click", () => this.copyToClipboard())
+    this.editButton?.addEventListener("click", () => this.edit())
+    this.runButton?.addEventListener("click", () => this.run())
+    this.resetButton?.addEventListener("click", () => this.reset())
+    this.codeEditor?.addEventListener("keydown", this.handleEditorKeys)
   }
 
-  show(code, feature = "") {
+  // context becomes `this` when an edited method snippet runs
+  show(code, feature = "", { context = null } = {}) {
     if (!this.codeDisplay) return
 
-    this.currentCode = code
-    this.codeDisplay.textContent = code
+    // A previously edited version of this snippet wins over the original
+    const saved = this.progress?.getSnippet(feature) ?? null
+    this.feature = feature
+    this.originalCode = code.trim()
+    this.currentCode = saved ?? this.originalCode
+    this.context = context
+    this.updateLabel()
 
-    // Add syntax highlighting effect
+    this.setEditing(false)
+    this.renderConsole(null)
     this.highlightSyntax()
 
     // Scroll to code display
@@ -21,30 +54,148 @@ export class CodeDisplayManager {
     })
   }
 
-  highlightSyntax() {
+  // Tokenizer output is already HTML-escaped, so it is safe to inject
+  highlightSyntax(error = null) {
+    if (!this.codeDisplay) return
+
+    this.codeDisplay.innerHTML = highlightLines(this.currentCode)
+      .map((line, i) => {
+        const failed = error?.line === i + 1
+        const marker = failed ? `<span class="line-error">⚠ ${this.escape(error.message)}</span>` : ""
+        return `<span class="code-line${failed ? " error-line" : ""}"><span class="line-number">${i + 1}</span>${line}${marker}</span>`
+      })
+      .join("")
+  }
+
+  updateLabel() {
+    if (this.codeLabel) {
+      const edited = this.currentCode !== this.originalCode ? " (edited)" : ""
+      this.codeLabel.textContent = `${this.feature}${edited}`
+    }
+  }
+
+  setEditing(editing) {
+    this.editing = editing && Boolean(this.codeEditor)
+    this.codeDisplay.hidden = this.editing
+    if (this.codeEditor) {
+      this.codeEditor.hidden = !this.editing
+    }
+    if (this.editButton) {
+      this.editButton.disabled = this.editing
+    }
+  }
+
+  edit() {
+    if (!this.codeEditor) return
+
+    this.codeEditor.value = this.currentCode
+    this.setEditing(true)
+    this.codeEditor.focus()
+  }
+
+  async run() {
     if (!this.codeDisplay) return
 
-    const html = this.currentCode
-      // Keywords
-      .replace(
-        /\b(const|let|var|function|class|return|if|else|for|while|async|await|import|export|default)\b/g,
-        '<span style="color: #ff6b6b; font-weight: bold;">$1</span>',
-      )
-      // Strings
-      .replace(/(["'`])((?:\\.|(?!\1)[^\\])*?)\1/g, '<span style="color: #51cf66;">$1$2$1</span>')
-      // Comments
-      .replace(/(\/\/.*$)/gm, '<span style="color: #868e96; font-style: italic;">$1</span>')
-      // Numbers
-      .replace(/\b(\d+\.?\d*)\b/g, '<span style="color: #ffd43b;">$1</span>')
-      // Functions
-      .replace(/\b(\w+)(?=\s*\()/g, '<span style="color: #74c0fc;">$1</span>')
+    if (this.editing) {
+      this.currentCode = this.codeEditor.value
+      this.updateLabel()
+      this.persistSnippet()
+    }
+
+    this.setEditing(false)
+    if (this.runButton) this.runButton.disabled = true
+
+    // Edited code runs in an isolated worker that only receives a copy of the demo's data
+    const result = await this.sandbox.run(this.currentCode, { thisArg: this.context })
+
+    if (this.runButton) this.runButton.disabled = false
+    this.highlightSyntax(result.error)
+    this.renderConsole(result)
+    return result
+  }
 
-    this.codeDisplay.innerHTML = html
+  reset() {
+    if (!this.codeDisplay) return
+
+    this.currentCode = this.originalCode
+    this.updateLabel()
+    this.persistSnippet()
+    this.setEditing(false)
+    this.renderConsole(null)
+    this.highlightSyntax()
+  }
+
+  persistSnippet() {
+    if (!this.progress || !this.feature) return
+
+    if (this.currentCode === this.originalCode) {
+      this.progress.clearSnippet(this.feature)
+    } else {
+      this.progress.saveSnippet(this.feature, this.currentCode)
+    }
+  }
+
+  renderConsole(result) {
+    if (!this.codeConsole) return
+
+    this.codeConsole.hidden = !result
+    if (!result) return
+
+    const { logs, result: value, error, duration } = result
+    const entries = [
+      ...logs.map(({ level, text, timestamp }) => ({ level, text, time: new Date(timestamp).toLocaleTimeString() })),
+      error
+        ? { level: "error", text: `${error.name}: ${error.message}${error.line ? ` (line ${error.line})` : ""}` }
+        : { level: "result", text: `⇒ ${formatValue(value)}` },
+      { level: "meta", text: `Finished in ${duration.toFixed(1)}ms` },
+    ]
+
+    this.codeConsole.innerHTML = entries
+      .map(({ level, text, time }) => {
+        const stamp = time ? `<span class="console-time">${time} ${level}</span> ` : ""
+        return `<div class="console-entry console-${level}">${stamp}${this.escape(text)}</div>`
+      })
+      .join("")
+  }
+
+  // Tab indents instead of leaving the editor; Ctrl/Cmd+Enter runs
+  handleEditorKeys = (event) => {
+    if (event.key === "Tab") {
+      event.preventDefault()
+      const { selectionStart, selectionEnd, value } = this.codeEditor
+      this.codeEditor.value = `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`
+      this.codeEditor.selectionStart = this.codeEditor.selectionEnd = selectionStart + 2
+    } else if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault()
+      this.run()
+    }
+  }
+
+  escape(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  }
+
+  async copyToClipboard() {
+    if (!this.copyButton || !this.currentCode) return
+
+    const label = this.copyButton.textContent
+    try {
+      await navigator.clipboard.writeText(this.editing ? this.codeEditor.value : this.currentCode)
+      this.copyButton.textContent = "✅ Copied"
+    } catch (error) {
+      this.copyButton.textContent = "❌ Copy failed"
+      console.error("Copy to clipboard failed:", error)
+    }
+    setTimeout(() => (this.copyButton.textContent = label), 1500)
   }
 
   clear() {
     if (this.codeDisplay) {
+      this.originalCode = ""
+      this.currentCode = ""
+      this.context = null
       this.codeDisplay.textContent = ""
+      this.renderConsole(null)
     }
   }
 }
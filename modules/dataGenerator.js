@@ -0,0 +1,40 @@
+// Dataset Generator - reproducible user lists for the performance demos
+import { Random, getSeed } from "./random.js"
+
+// Each distribution maps a uniform draw in [0, 1) to a score in [0, 100)
+const SCORE_SHAPES = {
+  uniform: (u) => u * 100,
+  // Long tail: most users score low, a few score high
+  skewed: (u) => u ** 3 * 100,
+  sorted: (u) => u * 100,
+  "reverse-sorted": (u) => u * 100,
+}
+
+export const DISTRIBUTIONS = Object.keys(SCORE_SHAPES)
+
+export const DEFAULT_DATASET = { size: 10000, distribution: "uniform" }
+
+// seed defaults to the shared seed at call time
+export const generateUsers = (options = {}) => {
+  const { size, seed, distribution } = { ...DEFAULT_DATASET, seed: getSeed(), ...options }
+
+  if (!Number.isInteger(size) || size < 0) {
+    throw new RangeError(`Dataset size must be a non-negative integer, got ${size}`)
+  }
+  if (!SCORE_SHAPES[distribution]) {
+    throw new RangeError(`Unknown distribution "${distribution}" - expected one of ${DISTRIBUTIONS.join(", ")}`)
+  }
+
+  const random = new Random(seed)
+  const shape = SCORE_SHAPES[distribution]
+  const users = Array.from({ length: size }, (_, i) => ({
+    id: i,
+    name: `User ${i}`,
+    score: shape(random.next()),
+    active: random.chance(0.5),
+  }))
+
+  if (distribution === "sorted") users.sort((a, b) => a.score - b.score)
+  if (distribution === "reverse-sorted") users.sort((a, b) => b.score - a.score)
+  return users
+}
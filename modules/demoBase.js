@@ -0,0 +1,60 @@
+// Base class for demos made of named, individually runnable examples
+import { getFunctionSource } from "./sourceExtractor.js"
+
+export class Demo {
+  // Subclasses list { id, title } entries - each id names the method producing that example's output
+  static examples = []
+
+  getExamples() {
+    return this.constructor.examples.map(({ id, title }) => ({ id, title }))
+  }
+
+  async runExample(id) {
+    const example = this.constructor.examples.find((entry) => entry.id === id)
+
+    if (!example || typeof this[id] !== "function") {
+      throw new Error(`Unknown example "${id}" in ${this.constructor.name}`)
+    }
+
+    const output = await this[id]()
+
+    return {
+      id,
+      title: example.title,
+      output,
+      code: this.getExampleCode(example),
+      charts: this.getExampleCharts(example),
+    }
+  }
+
+  // Run every example in order; async examples are awaited one at a time
+  async run() {
+    const examples = []
+    for (const { id } of this.constructor.examples) {
+      examples.push(await this.runExample(id))
+    }
+
+    return {
+      output: examples.map(({ output }) => output).join("\n\n"),
+      code: this.getSourceCode(),
+      charts: examples.flatMap(({ charts }) => charts),
+      examples,
+    }
+  }
+
+  // Subclasses may return [{ id, title, svg }] charts for an example that has just run
+  getExampleCharts() {
+    return []
+  }
+
+  // The code panel shows the method that actually ran, so it can't drift from the output
+  getExampleCode({ id }) {
+    return getFunctionSource(this[id])
+  }
+
+  getSourceCode() {
+    return this.constructor.examples
+      .map((example, i) => `// ${i + 1}. ${example.title}\n${this.getExampleCode(example)}`)
+      .join("\n\n")
+  }
+}
@@ -0,0 +1,90 @@
+// Demo Plugin Registry
+export class DemoRegistry {
+  constructor() {
+    this.entries = new Map()
+  }
+
+  // Register a demo class together with the metadata used to render its card.
+  // options: [{ id, label, values, default }] selects passed to the constructor as { [id]: value }
+  // actions: [{ method, label }] extra buttons calling an async method that resolves with { output }
+  register(
+    id,
+    DemoClass,
+    { title = id, icon = "🧩", category = "General", input = null, options = [], actions = [] } = {},
+  ) {
+    if (typeof id !== "string" || !id.trim()) {
+      throw new TypeError("Demo id must be a non-empty string")
+    }
+
+    if (this.entries.has(id)) {
+      throw new Error(`Demo "${id}" is already registered`)
+    }
+
+    if (typeof DemoClass !== "function" || typeof DemoClass.prototype?.run !== "function") {
+      throw new TypeError(`Demo "${id}" must be a class with a run() method`)
+    }
+
+    const missing = actions.find(({ method }) => typeof DemoClass.prototype[method] !== "function")
+    if (missing) {
+      throw new TypeError(`Demo "${id}" has no ${missing.method}() method for its "${missing.label}" action`)
+    }
+
+    this.entries.set(id, { id, DemoClass, title, icon, category, input, options, actions })
+    return this
+  }
+
+  has(id) {
+    return this.entries.has(id)
+  }
+
+  get(id) {
+    return this.entries.get(id)
+  }
+
+  list() {
+    return [...this.entries.values()]
+  }
+
+  // Group entries by category, keeping registration order
+  byCategory() {
+    return this.list().reduce((groups, entry) => {
+      const group = groups.get(entry.category) ?? []
+      return groups.set(entry.category, [...group, entry])
+    }, new Map())
+  }
+
+  // Options a demo doesn't understand are simply ignored by its constructor
+  create(id, options = {}) {
+    const entry = this.entries.get(id)
+    if (!entry) {
+      throw new Error(`Unknown demo "${id}"`)
+    }
+    return new entry.DemoClass(options)
+  }
+
+  // Each declared option's default, shaped like the constructor argument
+  defaultOptions(id) {
+    return Object.fromEntries(this.get(id).options.map((option) => [option.id, option.default]))
+  }
+}
+
+// Ensure run()/runExample() honoured the { output, code } contract
+export const validateDemoResult = (id, result) => {
+  const { output, code, examples = [], charts = [] } = result ?? {}
+
+  if (typeof output !== "string" || typeof code !== "string") {
+    throw new TypeError(`Demo "${id}" run() must return { output, code } strings`)
+  }
+
+  if (!Array.isArray(charts) || charts.some((chart) => typeof chart?.svg !== "string")) {
+    throw new TypeError(`Demo "${id}" charts must be an array of { id, title, svg }`)
+  }
+
+  if (!Array.isArray(examples)) {
+    throw new TypeError(`Demo "${id}" examples must be an array`)
+  }
+
+  examples.forEach((example) => validateDemoResult(`${id}:${example?.id}`, example))
+
+  return result
+}
@@ -1,24 +1,23 @@
 // Advanced Destructuring Patterns Demo
-export class DestructuringDemo {
+import { Demo } from "./demoBase.js"
+import { createSampleRepository } from "./userRepository.js"
+
+export class DestructuringDemo extends Demo {
+  static examples = [
+    { id: "nestedObjectDestructuring", title: "Nested Object Destructuring" },
+    { id: "arrayDestructuringWithDefaults", title: "Array Destructuring with Defaults" },
+    { id: "functionParameterDestructuring", title: "Function Parameter Destructuring" },
+    { id: "dynamicPropertyExtraction", title: "Dynamic Property Extraction" },
+    { id: "restPatternInDestructuring", title: "Rest Pattern in Destructuring" },
+  ]
+
   constructor() {
+    super()
+    // Users come from the shared repository; the examples destructure plain copies of its records
+    const users = createSampleRepository()
+    this.userPage = users.query({ sort: "name", pageSize: 2 })
     this.sampleData = {
-      user: {
-        id: 1,
-        name: "John Doe",
-        email: "john@example.com",
-        preferences: {
-          theme: "dark",
-          notifications: {
-            email: true,
-            push: false,
-            sms: true,
-          },
-        },
-        addresses: [
-          { type: "home", city: "New York", zipCode: "10001" },
-          { type: "work", city: "San Francisco", zipCode: "94105" },
-        ],
-      },
+      user: users.findByEmail("john@example.com"),
       products: [
         { id: 1, name: "Laptop", price: 999, category: "Electronics" },
         { id: 2, name: "Book", price: 29, category: "Education" },
@@ -27,23 +26,6 @@ export class DestructuringDemo {
     }
   }
 
-  async run() {
-    const examples = [
-      this.nestedObjectDestructuring(),
-      this.arrayDestructuringWithDefaults(),
-      this.functionParameterDestructuring(),
-      this.dynamicPropertyExtraction(),
-      this.restPatternInDestructuring(),
-    ]
-
-    const output = examples.join("\n\n")
-
-    return {
-      output,
-      code: this.getSourceCode(),
-    }
-  }
-
   // Complex nested object destructuring
   nestedObjectDestructuring() {
     const {
@@ -121,54 +103,18 @@ ${JSON.stringify(extracted, null, 2)}`
     const {
       user: { name, email, ...otherUserData },
     } = this.sampleData
+    // A repository query result is just data, so it destructures like anything else
+    const {
+      items: [firstUser, ...otherUsers],
+      total,
+      pages,
+    } = this.userPage
 
     return `🔄 Rest Pattern in Destructuring:
 First Product: ${firstProduct.name}
 Remaining Products: ${restProducts.length} items
 User Core: ${name}, ${email}
-Other User Data Keys: ${Object.keys(otherUserData).join(", ")}`
-  }
-
-  getSourceCode() {
-    return `
-// Advanced Destructuring Patterns
-
-// 1. Nested Object Destructuring with Defaults
-const {
-    user: {
-        name,
-        preferences: {
-            notifications: { email: emailNotif, push: pushNotif = true }
-        },
-        addresses: [homeAddress, workAddress = { city: 'Unknown' }]
-    }
-} = complexData;
-
-// 2. Function Parameter Destructuring
-const processUser = ({
-    name,
-    email,
-    preferences: { theme = 'light' } = {},
-    addresses = []
-}) => {
-    // Process user with destructured parameters
-};
-
-// 3. Dynamic Property Extraction
-const extractProperties = (obj, ...props) => {
-    return props.reduce((result, prop) => {
-        const keys = prop.split('.');
-        let value = obj;
-        for (const key of keys) {
-            value = value?.[key];
-        }
-        return { ...result, [prop]: value };
-    }, {});
-};
-
-// 4. Rest Pattern in Destructuring
-const [first, ...rest] = array;
-const { name, email, ...otherData } = user;
-        `
+Other User Data Keys: ${Object.keys(otherUserData).join(", ")}
+Query Page 1/${pages}: ${firstUser.name} + ${otherUsers.length} more of ${total} users`
   }
 }
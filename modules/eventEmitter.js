@@ -0,0 +1,204 @@
+// Event Emitter - publish/subscribe with wildcard patterns, listener priorities, async emits,
+// per-listener error isolation and a warning when listeners pile up.
+// Event names are ":"-separated segments. In a subscription pattern "*" matches exactly one
+// segment and "**" any number of them, including none, so "user:*" hears "user:login",
+// "user:**" hears "user" and "user:profile:saved", and "**" hears everything.
+
+const patternCache = new Map()
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// "**" takes one of its separators with it, so it can stand for no segments at all
+const segmentSource = (segment, index, segments) => {
+  if (segment === "**") {
+    if (index > 0) return "(?::.*)?"
+    return segments.length === 1 ? ".*" : "(?:.*:)?"
+  }
+  const separator = index === 0 || (index === 1 && segments[0] === "**") ? "" : ":"
+  return separator + (segment === "*" ? "[^:]+" : escapeRegExp(segment))
+}
+
+const toMatcher = (pattern) => {
+  if (!patternCache.has(pattern)) {
+    patternCache.set(pattern, new RegExp(`^${pattern.split(":").map(segmentSource).join("")}$`))
+  }
+  return patternCache.get(pattern)
+}
+
+const isPattern = (name) => name.split(":").some((segment) => segment === "*" || segment === "**")
+
+// Default error handling: hand the error to "error" listeners if there are any, else log it
+function reportError(error, { event }) {
+  if (event !== "error" && this.listenerCount("error") > 0) {
+    this.emit("error", { error, event })
+  } else {
+    console.error(`Listener for "${event}" threw:`, error)
+  }
+}
+
+export class EventEmitter {
+  // maxListeners: warn when one pattern gets more listeners than this (0 or Infinity disables);
+  // events: the only event names allowed, to catch typos; onError: (error, { event, listener })
+  // for listeners that throw or reject; onTrace: called after every listener call with
+  // { event, pattern, name, priority, status, error } - what the demo's flow chart is drawn from;
+  // warn: receives the too-many-listeners message
+  constructor({
+    maxListeners = 10,
+    events,
+    onError = reportError,
+    onTrace = () => {},
+    warn = (message) => console.warn(message),
+  } = {}) {
+    this.maxListeners = maxListeners
+    this.warn = warn
+    this.events = events ? new Set(events) : null
+    this.onError = onError
+    this.onTrace = onTrace
+    // Every subscription, highest priority first and in subscription order within a priority
+    this.listeners = []
+    this.warned = new Set()
+  }
+
+  checkName(name, kind) {
+    if (typeof name !== "string" || name === "") {
+      throw new TypeError(`Event ${kind} must be a non-empty string`)
+    }
+    if (this.events && !isPattern(name) && !this.events.has(name)) {
+      throw new TypeError(`Unknown event "${name}" - expected one of ${[...this.events].join(", ")}`)
+    }
+  }
+
+  // Returns an unsubscribe function. Options: priority (higher runs first), once, name (for
+  // traces), signal (an AbortSignal that unsubscribes)
+  on(pattern, listener, { priority = 0, once = false, name = listener?.name || "anonymous", signal } = {}) {
+    this.checkName(pattern, "pattern")
+    if (typeof listener !== "function") {
+      throw new TypeError("Listener must be a function")
+    }
+    // Already aborted: the subscription would be removed straight away, so never add it
+    if (signal?.aborted) return () => {}
+
+    const record = { pattern, listener, priority, once, name, matcher: toMatcher(pattern), active: true, signal }
+    const index = this.listeners.findIndex((other) => other.priority < priority)
+    this.listeners.splice(index === -1 ? this.listeners.length : index, 0, record)
+    this.warnIfLeaking(pattern)
+
+    record.unsubscribe = () => this.remove(record)
+    signal?.addEventListener("abort", record.unsubscribe, { once: true })
+    return record.unsubscribe
+  }
+
+  once(pattern, listener, options = {}) {
+    return this.on(pattern, listener, { ...options, once: true })
+  }
+
+  // off(pattern, listener) removes that subscription; off(pattern) every one for the pattern;
+  // off() everything
+  off(pattern, listener) {
+    const matches = (record) =>
+      (pattern === undefined || record.pattern === pattern) && (!listener || record.listener === listener)
+    this.listeners.filter(matches).forEach((record) => this.remove(record))
+  }
+
+  remove(record) {
+    // Flagged as well as removed, so an emit already in progress skips it too
+    record.active = false
+    // A long-lived signal would otherwise keep every removed listener alive
+    record.signal?.removeEventListener("abort", record.unsubscribe)
+    const index = this.listeners.indexOf(record)
+    if (index !== -1) this.listeners.splice(index, 1)
+  }
+
+  warnIfLeaking(pattern) {
+    if (this.maxListeners === 0 || this.maxListeners === Infinity) return
+    const count = this.listeners.filter((record) => record.pattern === pattern).length
+    if (count > this.maxListeners && !this.warned.has(pattern)) {
+      this.warned.add(pattern)
+      this.warn(
+        `Possible EventEmitter leak: ${count} listeners for "${pattern}" (max ${this.maxListeners}). ` +
+          "Unsubscribe listeners you no longer need, or raise maxListeners.",
+      )
+    }
+  }
+
+  // Listeners for an event, captured before any of them run so subscribing or unsubscribing from
+  // inside a listener can't make this emit skip or repeat one
+  matching(event) {
+    this.checkName(event, "name")
+    if (isPattern(event)) {
+      throw new TypeError(`Cannot emit a wildcard pattern ("${event}")`)
+    }
+    return this.listeners.filter((record) => record.matcher.test(event))
+  }
+
+  listenerCount(event) {
+    return this.listeners.filter((record) => record.matcher.test(event)).length
+  }
+
+  eventNames() {
+    return [...new Set(this.listeners.map(({ pattern }) => pattern))]
+  }
+
+  // Whether a captured listener should still run. once listeners are removed before they run, so
+  // one that emits the same event again isn't called twice.
+  prepare(event, record) {
+    if (!record.active) {
+      this.trace(event, record, "skipped")
+      return false
+    }
+    if (record.once) this.remove(record)
+    return true
+  }
+
+  trace(event, { pattern, name, priority }, status, error) {
+    this.onTrace({ event, pattern, name, priority, status, error })
+  }
+
+  settle(event, record, status, error) {
+    this.trace(event, record, status, error)
+    if (status === "error") this.onError.call(this, error, { event, listener: record.listener })
+  }
+
+  // Calls every matching listener synchronously and returns their results. A listener that
+  // throws is reported through onError and the rest still run; so is one whose promise rejects,
+  // once it settles.
+  emit(event, payload) {
+    return this.matching(event).map((record) => {
+      if (!this.prepare(event, record)) return undefined
+      try {
+        const result = record.listener(payload, event)
+        if (typeof result?.then === "function") {
+          result.then(
+            () => this.settle(event, record, "ok"),
+            (error) => this.settle(event, record, "error", error),
+          )
+        } else {
+          this.settle(event, record, "ok")
+        }
+        return result
+      } catch (error) {
+        this.settle(event, record, "error", error)
+        return undefined
+      }
+    })
+  }
+
+  // Like emit, but awaits each listener before calling the next, in priority order
+  async emitAsync(event, payload) {
+    const results = []
+    for (const record of this.matching(event)) {
+      if (!this.prepare(event, record)) {
+        results.push(undefined)
+        continue
+      }
+      try {
+        results.push(await record.listener(payload, event))
+        this.settle(event, record, "ok")
+      } catch (error) {
+        results.push(undefined)
+        this.settle(event, record, "error", error)
+      }
+    }
+    return results
+  }
+}
@@ -0,0 +1,88 @@
+// Challenge Grader - runs a submission plus its hidden tests inside the sandbox
+import { createSandbox } from "./sandbox.js"
+
+// Embedded into the harness as source text, so it must stay self-contained. It gets the built-ins it
+// uses captured before the submission runs, so patching Object.is or JSON.stringify can't fake a pass.
+function createChecker({ is, keys, hasOwn, isArray, stringify, String }) {
+  function deepEqual(a, b) {
+    if (is(a, b)) return true
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false
+    if (isArray(a) !== isArray(b)) return false
+
+    const keysA = keys(a)
+    if (keysA.length !== keys(b).length) return false
+    // Plain loops, as the submission may have replaced Array.prototype methods
+    for (let i = 0; i < keysA.length; i++) {
+      if (!hasOwn(b, keysA[i]) || !deepEqual(a[keysA[i]], b[keysA[i]])) return false
+    }
+    return true
+  }
+
+  function describe(value) {
+    if (typeof value === "function") return `[Function ${value.name || "anonymous"}]`
+    if (value === undefined) return "undefined"
+    try {
+      return stringify(value)
+    } catch {
+      return String(value)
+    }
+  }
+
+  return { deepEqual, describe }
+}
+
+const { describe } = createChecker({
+  is: Object.is,
+  keys: Object.keys,
+  hasOwn: Object.hasOwn,
+  isArray: Array.isArray,
+  stringify: JSON.stringify,
+  String,
+})
+
+// The submission runs in its own strict function, so a bare `return` only leaves that function, and
+// the tests are closures created inside it, so they see its declarations. A submission that returns
+// its own list of checks early gains nothing over hard-coding the answers. Nothing secret is in this
+// source: the sandbox seals the outcome with a nonce it sends only after the run has finished.
+// The submission starts on the first line so sandbox error lines match the user's editor.
+const buildHarness = (code, tests) => `\
+const __builtins = Object.freeze({ is: Object.is, keys: Object.keys, hasOwn: Object.hasOwn, \
+isArray: Array.isArray, stringify: JSON.stringify, String }); \
+const __checks = await (async function () { "use strict"; ${code}
+;return [${tests.map(({ check }) => `async () => (${check})`).join(", ")}]
+}).call(undefined)
+if (!__builtins.isArray(__checks) || __checks.length !== ${tests.length}) return null
+const { deepEqual: __deepEqual, describe: __describe } = (${createChecker})(__builtins)
+const __run = async (check, expected) => {
+  try {
+    const actual = await check()
+    return { passed: __deepEqual(actual, expected), actual: __describe(actual) }
+  } catch (error) {
+    return { passed: false, error: __builtins.String(error?.message ?? error) }
+  }
+}
+return [
+${tests.map(({ expected }, i) => `  await __run(__checks[${i}], ${JSON.stringify(expected)}),`).join("\n")}
+]`
+
+export const gradeChallenge = async (challenge, code, { sandbox = createSandbox() } = {}) => {
+  const outcome = await sandbox.run(buildHarness(code, challenge.tests))
+  const failure = outcome.error
+    ? `${outcome.error.name}: ${outcome.error.message}`
+    : !Array.isArray(outcome.result)
+      ? "Submission returned before the tests could run"
+      : null
+
+  const results = challenge.tests.map(({ name, expected }, i) => {
+    const result = failure ? { passed: false, error: failure } : outcome.result[i]
+    return { name, expected: describe(expected), ...result }
+  })
+
+  return {
+    challengeId: challenge.id,
+    passed: results.every(({ passed }) => passed),
+    results,
+    logs: outcome.logs,
+    error: outcome.error,
+  }
+}
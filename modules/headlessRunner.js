@@ -0,0 +1,89 @@
+// Headless Demo Runner - executes registered demos without a DOM
+import { DemoRegistry, validateDemoResult } from "./demoRegistry.js"
+import { registerBuiltinDemos } from "./builtinDemos.js"
+
+export const createDefaultRegistry = () => registerBuiltinDemos(new DemoRegistry())
+
+// Demo output may contain inline markup such as <mark>, which a terminal can't render
+export const toPlainText = (html) =>
+  html
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+
+export class HeadlessRunner {
+  // demoOptions go to every demo constructor on top of its declared defaults, e.g. { size: 1000 }
+  constructor(registry = createDefaultRegistry(), { demoOptions = {} } = {}) {
+    this.registry = registry
+    this.demoOptions = demoOptions
+  }
+
+  createDemo(id) {
+    return this.registry.create(id, { ...this.registry.defaultOptions(id), ...this.demoOptions })
+  }
+
+  // Targets are demo ids, optionally narrowed to one example: "advanced-patterns:proxyPattern"
+  resolveTargets(targets, { all = false } = {}) {
+    if (all) return this.registry.list().map(({ id }) => ({ id, example: null }))
+
+    const resolved = targets.map((target) => {
+      const [id, example = null] = target.split(":")
+      return { id, example }
+    })
+
+    const unknown = resolved.filter(({ id }) => !this.registry.has(id)).map(({ id }) => id)
+    if (unknown.length > 0) {
+      throw new Error(`Unknown demo(s): ${unknown.join(", ")}`)
+    }
+    return resolved
+  }
+
+  // Run a demo (or one of its examples), capturing failures instead of throwing
+  async runDemo(id, exampleId = null) {
+    const { title, icon, category } = this.registry.get(id)
+    const started = performance.now()
+
+    try {
+      const demo = this.createDemo(id)
+      const result = exampleId ? await this.runExample(demo, exampleId) : await demo.run()
+      const { output, code, examples = [], charts = [] } = validateDemoResult(id, result)
+      return {
+        id,
+        title: exampleId ? `${title} › ${result.title}` : title,
+        icon,
+        category,
+        ok: true,
+        output,
+        code,
+        charts,
+        examples,
+        duration: performance.now() - started,
+      }
+    } catch (error) {
+      return { id, title, icon, category, ok: false, error: error.message, duration: performance.now() - started }
+    }
+  }
+
+  runExample(demo, exampleId) {
+    if (typeof demo.runExample !== "function") {
+      throw new Error(`${demo.constructor.name} has no named examples`)
+    }
+    return demo.runExample(exampleId)
+  }
+
+  async runAll(targets) {
+    const results = []
+    for (const { id, example } of targets) {
+      results.push(await this.runDemo(id, example))
+    }
+    return results
+  }
+
+  listExamples(id) {
+    const demo = this.createDemo(id)
+    return demo.getExamples?.() ?? []
+  }
+}
@@ -0,0 +1,430 @@
+// Lazy Sequences - chainable iterator pipelines that pull only as many elements as the end of the
+// chain asks for. Each step returns a new sequence instead of an array, so nothing runs until a
+// terminal method (toArray, reduce, first) or a for...of loop starts pulling. A sequence can be
+// iterated again as long as its source can: arrays can, a one-shot generator can't.
+
+const checkCount = (value, name) => {
+  if (!(Number.isInteger(value) && value >= 0) && value !== Infinity) {
+    throw new RangeError(`${name} must be a non-negative integer, got ${value}`)
+  }
+}
+
+const checkSize = (value, name) => {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new RangeError(`${name} must be a positive integer, got ${value}`)
+  }
+}
+
+// Iterators opened by hand (zip) must be closed by hand, or their finally blocks never run
+const closeAll = (iterators) => iterators.forEach((iterator) => iterator.return?.())
+
+export class Lazy {
+  // factory: () => Iterator, called once per iteration
+  constructor(factory) {
+    this.factory = factory
+  }
+
+  static from(iterable) {
+    if (iterable instanceof Lazy) return iterable
+    if (typeof iterable?.[Symbol.iterator] !== "function") {
+      throw new TypeError("Lazy.from expects an iterable")
+    }
+    return new Lazy(() => iterable[Symbol.iterator]())
+  }
+
+  static of(...values) {
+    return Lazy.from(values)
+  }
+
+  // end is exclusive and defaults to Infinity - safe, since nothing is produced until pulled
+  static range(start = 0, end = Infinity, step = 1) {
+    if (step === 0) throw new RangeError("Lazy.range step must not be 0")
+    return new Lazy(function* () {
+      for (let i = start; step > 0 ? i < end : i > end; i += step) yield i
+    })
+  }
+
+  [Symbol.iterator]() {
+    return this.factory()
+  }
+
+  // operator: generator function receiving the upstream sequence
+  pipe(operator) {
+    return new Lazy(() => operator(this))
+  }
+
+  map(mapper) {
+    return this.pipe(function* (source) {
+      let index = 0
+      for (const item of source) yield mapper(item, index++)
+    })
+  }
+
+  filter(predicate) {
+    return this.pipe(function* (source) {
+      let index = 0
+      for (const item of source) if (predicate(item, index++)) yield item
+    })
+  }
+
+  // Run a side effect per element without changing it - handy for counting pulls
+  tap(effect) {
+    return this.map((item, index) => {
+      effect(item, index)
+      return item
+    })
+  }
+
+  // Stops after the nth element without pulling an (n + 1)th
+  take(count) {
+    checkCount(count, "take count")
+    return this.pipe(function* (source) {
+      if (count === 0) return
+      let taken = 0
+      for (const item of source) {
+        yield item
+        if (++taken >= count) return
+      }
+    })
+  }
+
+  skip(count) {
+    checkCount(count, "skip count")
+    return this.pipe(function* (source) {
+      let skipped = 0
+      for (const item of source) {
+        if (skipped < count) skipped++
+        else yield item
+      }
+    })
+  }
+
+  // The first failing element is pulled (it has to be, to test it) but not yielded
+  takeWhile(predicate) {
+    return this.pipe(function* (source) {
+      let index = 0
+      for (const item of source) {
+        if (!predicate(item, index++)) return
+        yield item
+      }
+    })
+  }
+
+  // mapper returns an iterable whose elements are yielded in place
+  flatMap(mapper) {
+    return this.pipe(function* (source) {
+      let index = 0
+      for (const item of source) yield* mapper(item, index++)
+    })
+  }
+
+  // Pairs elements up by position and stops with the shortest input
+  zip(...others) {
+    return this.pipe(function* (source) {
+      const iterators = [source, ...others].map((iterable) => iterable[Symbol.iterator]())
+      try {
+        for (;;) {
+          const results = iterators.map((iterator) => iterator.next())
+          if (results.some(({ done }) => done)) return
+          yield results.map(({ value }) => value)
+        }
+      } finally {
+        closeAll(iterators)
+      }
+    })
+  }
+
+  // Consecutive arrays of `size` elements; the last one may be shorter
+  chunk(size) {
+    checkSize(size, "chunk size")
+    return this.pipe(function* (source) {
+      let chunk = []
+      for (const item of source) {
+        chunk.push(item)
+        if (chunk.length === size) {
+          yield chunk
+          chunk = []
+        }
+      }
+      if (chunk.length > 0) yield chunk
+    })
+  }
+
+  // Sliding windows of exactly `size` elements, starting every `step` elements
+  window(size, step = 1) {
+    checkSize(size, "window size")
+    checkSize(step, "window step")
+    return this.pipe(function* (source) {
+      let buffer = []
+      let skipping = 0
+      for (const item of source) {
+        if (skipping > 0) {
+          skipping--
+          continue
+        }
+        buffer.push(item)
+        if (buffer.length === size) {
+          yield [...buffer]
+          buffer = buffer.slice(Math.min(step, size))
+          skipping = Math.max(0, step - size)
+        }
+      }
+    })
+  }
+
+  // Drops elements whose key was already seen; remembers every key, so memory grows with the output
+  uniq(key = (item) => item) {
+    return this.pipe(function* (source) {
+      const seen = new Set()
+      for (const item of source) {
+        const id = key(item)
+        if (!seen.has(id)) {
+          seen.add(id)
+          yield item
+        }
+      }
+    })
+  }
+
+  // Like reduce, but yields every intermediate accumulator. Without an initial value the first
+  // element seeds it, as with Array.prototype.reduce.
+  scan(reducer, ...initial) {
+    return this.pipe(function* (source) {
+      let started = initial.length > 0
+      let accumulator = initial[0]
+      let index = 0
+      for (const item of source) {
+        accumulator = started ? reducer(accumulator, item, index) : item
+        started = true
+        index++
+        yield accumulator
+      }
+    })
+  }
+
+  reduce(reducer, ...initial) {
+    let started = initial.length > 0
+    let accumulator = initial[0]
+    let index = 0
+    for (const item of this) {
+      accumulator = started ? reducer(accumulator, item, index) : item
+      started = true
+      index++
+    }
+    if (!started) throw new TypeError("Reduce of empty sequence with no initial value")
+    return accumulator
+  }
+
+  toArray() {
+    return [...this]
+  }
+
+  first() {
+    for (const item of this) return item
+    return undefined
+  }
+
+  // Continue the pipeline with async callbacks or async sources
+  async() {
+    return AsyncLazy.from(this)
+  }
+}
+
+// Plain iterables are wrapped so promises they yield are awaited, as `for await` does
+async function* fromSync(iterable) {
+  for (const item of iterable) yield item
+}
+
+const asyncIteratorOf = (iterable) =>
+  typeof iterable?.[Symbol.asyncIterator] === "function"
+    ? iterable[Symbol.asyncIterator]()
+    : fromSync(iterable)
+
+// The same operators over async iterables (paged APIs, streams, event sources). Callbacks may
+// return promises, which are awaited before the next element is pulled; terminal methods return
+// promises.
+export class AsyncLazy {
+  constructor(factory) {
+    this.factory = factory
+  }
+
+  static from(iterable) {
+    if (iterable instanceof AsyncLazy) return iterable
+    if (typeof iterable?.[Symbol.asyncIterator] !== "function" && typeof iterable?.[Symbol.iterator] !== "function") {
+      throw new TypeError("AsyncLazy.from expects an iterable or async iterable")
+    }
+    return new AsyncLazy(() => asyncIteratorOf(iterable))
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.factory()
+  }
+
+  pipe(operator) {
+    return new AsyncLazy(() => operator(this))
+  }
+
+  map(mapper) {
+    return this.pipe(async function* (source) {
+      let index = 0
+      for await (const item of source) yield await mapper(item, index++)
+    })
+  }
+
+  filter(predicate) {
+    return this.pipe(async function* (source) {
+      let index = 0
+      for await (const item of source) if (await predicate(item, index++)) yield item
+    })
+  }
+
+  tap(effect) {
+    return this.map(async (item, index) => {
+      await effect(item, index)
+      return item
+    })
+  }
+
+  take(count) {
+    checkCount(count, "take count")
+    return this.pipe(async function* (source) {
+      if (count === 0) return
+      let taken = 0
+      for await (const item of source) {
+        yield item
+        if (++taken >= count) return
+      }
+    })
+  }
+
+  skip(count) {
+    checkCount(count, "skip count")
+    return this.pipe(async function* (source) {
+      let skipped = 0
+      for await (const item of source) {
+        if (skipped < count) skipped++
+        else yield item
+      }
+    })
+  }
+
+  takeWhile(predicate) {
+    return this.pipe(async function* (source) {
+      let index = 0
+      for await (const item of source) {
+        if (!(await predicate(item, index++))) return
+        yield item
+      }
+    })
+  }
+
+  // mapper may return a sync or async iterable, or a promise of either
+  flatMap(mapper) {
+    return this.pipe(async function* (source) {
+      let index = 0
+      for await (const item of source) yield* AsyncLazy.from(await mapper(item, index++))
+    })
+  }
+
+  zip(...others) {
+    return this.pipe(async function* (source) {
+      const iterators = [source, ...others].map(asyncIteratorOf)
+      try {
+        for (;;) {
+          const results = await Promise.all(iterators.map((iterator) => iterator.next()))
+          if (results.some(({ done }) => done)) return
+          yield results.map(({ value }) => value)
+        }
+      } finally {
+        await Promise.all(iterators.map((iterator) => iterator.return?.()))
+      }
+    })
+  }
+
+  chunk(size) {
+    checkSize(size, "chunk size")
+    return this.pipe(async function* (source) {
+      let chunk = []
+      for await (const item of source) {
+        chunk.push(item)
+        if (chunk.length === size) {
+          yield chunk
+          chunk = []
+        }
+      }
+      if (chunk.length > 0) yield chunk
+    })
+  }
+
+  window(size, step = 1) {
+    checkSize(size, "window size")
+    checkSize(step, "window step")
+    return this.pipe(async function* (source) {
+      let buffer = []
+      let skipping = 0
+      for await (const item of source) {
+        if (skipping > 0) {
+          skipping--
+          continue
+        }
+        buffer.push(item)
+        if (buffer.length === size) {
+          yield [...buffer]
+          buffer = buffer.slice(Math.min(step, size))
+          skipping = Math.max(0, step - size)
+        }
+      }
+    })
+  }
+
+  uniq(key = (item) => item) {
+    return this.pipe(async function* (source) {
+      const seen = new Set()
+      for await (const item of source) {
+        const id = await key(item)
+        if (!seen.has(id)) {
+          seen.add(id)
+          yield item
+        }
+      }
+    })
+  }
+
+  scan(reducer, ...initial) {
+    return this.pipe(async function* (source) {
+      let started = initial.length > 0
+      let accumulator = initial[0]
+      let index = 0
+      for await (const item of source) {
+        accumulator = started ? await reducer(accumulator, item, index) : item
+        started = true
+        index++
+        yield accumulator
+      }
+    })
+  }
+
+  async reduce(reducer, ...initial) {
+    let started = initial.length > 0
+    let accumulator = initial[0]
+    let index = 0
+    for await (const item of this) {
+      accumulator = started ? await reducer(accumulator, item, index) : item
+      started = true
+      index++
+    }
+    if (!started) throw new TypeError("Reduce of empty sequence with no initial value")
+    return accumulator
+  }
+
+  async toArray() {
+    const items = []
+    for await (const item of this) items.push(item)
+    return items
+  }
+
+  async first() {
+    for await (const item of this) return item
+    return undefined
+  }
+}
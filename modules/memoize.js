@@ -0,0 +1,143 @@
+// Memoize - caches a function's results per argument list, with an LRU size limit, TTL expiry,
+// shared in-flight promises and hit/miss counters.
+// Arguments are compared one by one instead of being serialised: primitives by value (NaN equals
+// NaN), objects and functions by identity. Object arguments are held in WeakMaps, so an entry for
+// an object nobody else references can be garbage collected. Pass `key` to compare objects by
+// value instead, e.g. key: (point) => `${point.x},${point.y}`.
+import { defaultScheduler } from "./timing.js"
+
+// One trie node per argument position; `entry` holds the result for the path that ends here
+const createNode = () => ({ primitives: new Map(), objects: new WeakMap(), entry: undefined })
+
+const isObjectKey = (value) => (typeof value === "object" && value !== null) || typeof value === "function"
+
+const childOf = (node, arg, create) => {
+  const store = isObjectKey(arg) ? node.objects : node.primitives
+  let child = store.get(arg)
+  if (!child && create) {
+    child = createNode()
+    store.set(arg, child)
+  }
+  return child
+}
+
+const isThenable = (value) => typeof value?.then === "function"
+
+// maxSize: most entries kept, least recently used evicted first; ttl: ms an entry stays valid;
+// key: (...args) => cache key, replacing the argument list; scheduler: supplies now() for TTLs.
+// An async function's promise is cached as soon as the call starts, so concurrent calls with the
+// same arguments share one call; a rejected promise is dropped so the next call tries again.
+export const memoize = (
+  fn,
+  { maxSize = Infinity, ttl = Infinity, key, scheduler = defaultScheduler } = {},
+) => {
+  if (typeof fn !== "function") {
+    throw new TypeError("memoize expects a function")
+  }
+  if (!(maxSize >= 1)) {
+    throw new RangeError(`memoize maxSize must be at least 1, got ${maxSize}`)
+  }
+
+  let root = createNode()
+  // Entries in least- to most-recently-used order. Only kept with a finite maxSize: listing every
+  // entry would keep results for collected object arguments alive.
+  const bounded = maxSize !== Infinity
+  const recent = new Set()
+  const counters = { hits: 0, misses: 0, deduped: 0, evictions: 0, expirations: 0 }
+
+  const pathFor = (args) => (key ? [key(...args)] : args)
+
+  const find = (args) => {
+    let node = root
+    for (const arg of pathFor(args)) {
+      node = childOf(node, arg, false)
+      if (!node) return undefined
+    }
+    return node
+  }
+
+  const remove = (entry) => {
+    if (entry.node.entry === entry) entry.node.entry = undefined
+    recent.delete(entry)
+  }
+
+  const lookup = (args) => {
+    const entry = find(args)?.entry
+    if (!entry) return undefined
+    if (scheduler.now() >= entry.expires) {
+      counters.expirations++
+      remove(entry)
+      return undefined
+    }
+    if (bounded) {
+      recent.delete(entry)
+      recent.add(entry)
+    }
+    return entry
+  }
+
+  const store = (args, value) => {
+    let node = root
+    for (const arg of pathFor(args)) node = childOf(node, arg, true)
+    const entry = { node, value, expires: scheduler.now() + ttl, pending: false }
+    node.entry = entry
+
+    if (bounded) {
+      recent.add(entry)
+      if (recent.size > maxSize) {
+        remove(recent.values().next().value)
+        counters.evictions++
+      }
+    }
+    return entry
+  }
+
+  // A regular function so `this` reaches fn; note `this` is not part of the cache key
+  function memoized(...args) {
+    const cached = lookup(args)
+    if (cached) {
+      counters[cached.pending ? "deduped" : "hits"]++
+      return cached.value
+    }
+
+    counters.misses++
+    const value = fn.apply(this, args)
+    const entry = store(args, value)
+
+    if (isThenable(value)) {
+      entry.pending = true
+      value.then(
+        () => {
+          entry.pending = false
+        },
+        () => remove(entry),
+      )
+    }
+    return value
+  }
+
+  memoized.has = (...args) => lookup(args) !== undefined
+
+  memoized.delete = (...args) => {
+    const entry = find(args)?.entry
+    if (entry) remove(entry)
+    return Boolean(entry)
+  }
+
+  memoized.clear = () => {
+    root = createNode()
+    recent.clear()
+  }
+
+  // size counts live entries only when maxSize is set; unbounded caches don't list their entries
+  memoized.stats = () => {
+    const lookups = counters.hits + counters.deduped + counters.misses
+    return {
+      ...counters,
+      size: bounded ? recent.size : null,
+      hitRate: lookups === 0 ? 0 : (counters.hits + counters.deduped) / lookups,
+    }
+  }
+
+  return memoized
+}
@@ -0,0 +1,92 @@
+// Memory Probe - heap measurements for backing up memory claims with numbers. Uses whatever the
+// runtime offers, best first:
+// - Node: process.memoryUsage().heapUsed, with forced GC when started with --expose-gc
+// - Browsers that are cross-origin isolated: performance.measureUserAgentSpecificMemory(), which
+//   collects garbage itself but can take a few seconds
+// - Chromium: performance.memory.usedJSHeapSize, coarse (rounded to ~100KB) and without GC
+// Without forced GC, "retained" includes garbage the collector simply hasn't reached yet.
+
+const isNode = typeof process !== "undefined" && Boolean(process.versions?.node)
+
+export const getMemorySource = () => {
+  if (isNode && typeof process.memoryUsage === "function") return "process.memoryUsage"
+  if (globalThis.crossOriginIsolated && typeof performance.measureUserAgentSpecificMemory === "function") {
+    return "measureUserAgentSpecificMemory"
+  }
+  if (performance.memory?.usedJSHeapSize !== undefined) return "performance.memory"
+  return null
+}
+
+// gc() exists in Node with --expose-gc, and in Chromium started with --js-flags=--expose-gc
+export const canForceGc = () =>
+  typeof globalThis.gc === "function" || getMemorySource() === "measureUserAgentSpecificMemory"
+
+// Two full collections with a macrotask between them, so weak references and finalizers cleared
+// by the first get their memory reclaimed by the second
+export const forceGc = async () => {
+  if (typeof globalThis.gc !== "function") return false
+  globalThis.gc()
+  await new Promise((resolve) => setTimeout(resolve, 0))
+  globalThis.gc()
+  return true
+}
+
+// Current heap use in bytes, or null where the runtime won't say
+export const readHeapBytes = async () => {
+  switch (getMemorySource()) {
+    case "process.memoryUsage":
+      return process.memoryUsage().heapUsed
+    case "measureUserAgentSpecificMemory":
+      return (await performance.measureUserAgentSpecificMemory()).bytes
+    case "performance.memory":
+      return performance.memory.usedJSHeapSize
+    default:
+      return null
+  }
+}
+
+// Heap growth caused by build(). `allocated` is read straight after it returns, garbage included;
+// `retained` after a forced GC while build()'s result is still referenced, i.e. what the result
+// really keeps alive; `released` after dropping the result and collecting again, which should be
+// back near zero unless something else holds on.
+export const measureRetained = async (build) => {
+  const source = getMemorySource()
+  if (!source) return { source: null, gcForced: false, allocated: null, retained: null, released: null }
+
+  await forceGc()
+  const baseline = await readHeapBytes()
+  let result = await build()
+  const allocated = (await readHeapBytes()) - baseline
+  const gcForced = await forceGc()
+  const retained = (await readHeapBytes()) - baseline
+  // result lives across the awaits above, so it stays reachable until this line
+  result = undefined
+  await forceGc()
+  const released = (await readHeapBytes()) - baseline
+
+  return { source, gcForced: gcForced || source === "measureUserAgentSpecificMemory", allocated, retained, released }
+}
+
+const UNITS = ["B", "KB", "MB", "GB"]
+
+// Signed, binary units: formatBytes(-1536) === "-1.5 KB"
+export const formatBytes = (bytes) => {
+  if (bytes === null || !Number.isFinite(bytes)) return "n/a"
+  const sign = bytes < 0 ? "-" : ""
+  let value = Math.abs(bytes)
+  let unit = 0
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${sign}${unit === 0 ? value : value.toFixed(1)} ${UNITS[unit]}`
+}
+
+// How trustworthy the numbers are, for printing next to them
+export const describeMemorySource = () => {
+  const source = getMemorySource()
+  if (!source) return "no memory API in this runtime - measurements skipped"
+  const gc = canForceGc() ? "GC forced before each reading" : "GC not forced, so numbers include uncollected garbage"
+  const hint = source === "process.memoryUsage" && !canForceGc() ? " (run node with --expose-gc)" : ""
+  return `${source}, ${gc}${hint}`
+}
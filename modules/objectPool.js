@@ -0,0 +1,176 @@
+// Object Pool - recycles objects instead of allocating fresh ones, with a bound on how many idle
+// objects it keeps, checks against releasing twice or releasing strangers, and counters for how
+// well reuse is working. Debug mode also records where each object was acquired so ones that are
+// never released can be found.
+
+const now = () => Math.round(globalThis.performance?.now() ?? Date.now())
+
+const warnLeak = ({ acquiredAt, stack }) =>
+  console.warn(`ObjectPool leak: object acquired at ${acquiredAt}ms was garbage collected without release\n${stack}`)
+
+export class ObjectPool {
+  // create: () => object; reset: (object) => void, run before an object goes back to the pool;
+  // validate: (object) => boolean, false discards the object instead of reusing it;
+  // maxSize: most idle objects kept; initialSize: objects created up front;
+  // debug: record acquire sites; onLeak: called with a leak report when debug mode sees an
+  // outstanding object garbage collected
+  constructor({
+    create,
+    reset = () => {},
+    validate = () => true,
+    maxSize = Infinity,
+    initialSize = 0,
+    debug = false,
+    onLeak = warnLeak,
+  } = {}) {
+    if (typeof create !== "function") {
+      throw new TypeError("ObjectPool needs a create() function")
+    }
+    if (!(maxSize >= 0)) {
+      throw new RangeError(`ObjectPool maxSize must be >= 0, got ${maxSize}`)
+    }
+
+    this.create = create
+    this.reset = reset
+    this.validate = validate
+    this.maxSize = maxSize
+    this.debug = debug
+    this.onLeak = onLeak
+
+    this.idle = []
+    this.idleSet = new Set()
+    // Held weakly, so a leaked object can still be garbage collected
+    this.outstanding = new WeakSet()
+    this.counters = { acquires: 0, releases: 0, creations: 0, reuses: 0, discarded: 0, outstanding: 0, peak: 0 }
+
+    // Debug bookkeeping: acquire site per outstanding object, and a registry that notices
+    // outstanding objects being collected
+    this.sites = new Map()
+    this.siteIds = new WeakMap()
+    this.nextSiteId = 1
+    this.leaks = []
+    this.finalizer = debug && typeof FinalizationRegistry === "function" ? new FinalizationRegistry(this.collected) : null
+
+    for (let i = 0; i < Math.min(initialSize, maxSize); i++) {
+      this.addIdle(this.allocate())
+    }
+  }
+
+  allocate() {
+    this.counters.creations++
+    return this.create()
+  }
+
+  addIdle(object) {
+    this.idle.push(object)
+    this.idleSet.add(object)
+  }
+
+  acquire() {
+    const reused = this.idle.length > 0
+    const object = reused ? this.idle.pop() : this.allocate()
+    if (reused) {
+      this.idleSet.delete(object)
+      this.counters.reuses++
+    }
+
+    this.counters.acquires++
+    this.counters.outstanding++
+    this.counters.peak = Math.max(this.counters.peak, this.counters.outstanding)
+    this.outstanding.add(object)
+    if (this.debug) this.track(object)
+    return object
+  }
+
+  release(object) {
+    if (this.idleSet.has(object)) {
+      throw new Error("Object released twice - it is already back in the pool")
+    }
+    if (!this.outstanding.has(object)) {
+      throw new Error("Object was not acquired from this pool")
+    }
+
+    this.outstanding.delete(object)
+    this.counters.releases++
+    this.counters.outstanding--
+    if (this.debug) this.untrack(object)
+
+    if (!this.validate(object) || this.idle.length >= this.maxSize) {
+      this.counters.discarded++
+      return
+    }
+    this.reset(object)
+    this.addIdle(object)
+  }
+
+  // Acquire for the duration of fn and release afterwards, even if fn throws or rejects
+  use(fn) {
+    const object = this.acquire()
+    let result
+    try {
+      result = fn(object)
+    } catch (error) {
+      this.release(object)
+      throw error
+    }
+    if (typeof result?.then === "function") {
+      return result.finally(() => this.release(object))
+    }
+    this.release(object)
+    return result
+  }
+
+  // Drop every idle object; outstanding ones can still be released afterwards
+  clear() {
+    this.idle = []
+    this.idleSet.clear()
+  }
+
+  get stats() {
+    const { acquires, reuses } = this.counters
+    return {
+      ...this.counters,
+      idle: this.idle.length,
+      reuseRatio: acquires === 0 ? 0 : reuses / acquires,
+    }
+  }
+
+  track(object) {
+    const id = this.nextSiteId++
+    // Drop the "Error" line and this frame so the stack starts at the caller of acquire()
+    const stack = new Error().stack?.split("\n").slice(3).join("\n") ?? ""
+    this.sites.set(id, { id, acquiredAt: now(), stack, ref: new WeakRef(object) })
+    this.siteIds.set(object, id)
+    this.finalizer?.register(object, id, object)
+  }
+
+  untrack(object) {
+    this.sites.delete(this.siteIds.get(object))
+    this.siteIds.delete(object)
+    this.finalizer?.unregister(object)
+  }
+
+  // The object is gone, so it can never be released: a definite leak
+  collected = (id) => {
+    const site = this.sites.get(id)
+    if (!site) return
+    this.sites.delete(id)
+    this.counters.outstanding--
+    const leak = { id, acquiredAt: site.acquiredAt, stack: site.stack, collected: true }
+    this.leaks.push(leak)
+    this.onLeak(leak)
+  }
+
+  // Debug mode only: objects acquired at least `olderThan` ms ago and not released yet, with the
+  // stack that acquired them. Objects already collected unreleased are reported too.
+  checkLeaks({ olderThan = 0 } = {}) {
+    if (!this.debug) {
+      throw new Error("checkLeaks() needs an ObjectPool created with { debug: true }")
+    }
+    const time = now()
+    const open = [...this.sites.values()]
+      .filter(({ acquiredAt }) => time - acquiredAt >= olderThan)
+      .map(({ id, acquiredAt, stack, ref }) => ({ id, acquiredAt, stack, object: ref.deref(), collected: false }))
+    return [...this.leaks, ...open]
+  }
+}
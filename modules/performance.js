@@ -1,227 +1,316 @@
 // Performance Optimization Patterns Demo
-export class PerformanceDemo {
-  constructor() {
-    this.testData = Array.from({ length: 10000 }, (_, i) => ({
-      id: i,
-      name: `User ${i}`,
-      score: Math.random() * 100,
-      active: Math.random() > 0.5,
-    }))
+import { Demo } from "./demoBase.js"
+import { benchmarkAll, compare, formatStats, formatComparison, formatTime, formatCount } from "./benchmark.js"
+import { generateUsers, DEFAULT_DATASET } from "./dataGenerator.js"
+import { createRandom, getSeed } from "./random.js"
+import { barChart } from "./textChart.js"
+import { barChart as svgBarChart, lineChart, timelineChart } from "./svgChart.js"
+import { generateEvents, simulateTimeline, formatTimeline } from "./timeline.js"
+import { Lazy, AsyncLazy } from "./lazy.js"
+import { ObjectPool } from "./objectPool.js"
+import { RateLimiter, TaskPool, retry, sleep, withTimeout } from "./asyncUtils.js"
+import { describeMemorySource, formatBytes, measureRetained } from "./memoryProbe.js"
+
+// Fewer, shorter samples per candidate keep a sweep up to a million users in the tens of seconds
+const SWEEP_BENCHMARK_OPTIONS = { warmup: 2, samples: 10, maxTime: 100 }
+
+// Benchmarked examples whose cost depends on dataset size, and the candidates they time
+const SWEEP_EXAMPLES = [
+  { id: "lazyEvaluation", title: "Lazy Evaluation", comparisons: [["eager", "lazy"]] },
+  {
+    id: "algorithmOptimization",
+    title: "Algorithm Optimization",
+    comparisons: [
+      ["linear", "binary"],
+      ["linear", "hashLookup"],
+    ],
+  },
+]
+
+// Half-width of the 95% confidence interval of the mean
+const marginOfError = ({ mean, rme }) => (mean * rme) / 100
+
+export class PerformanceDemo extends Demo {
+  static examples = [
+    { id: "debouncingThrottling", title: "Debouncing & Throttling" },
+    { id: "lazyEvaluation", title: "Lazy Evaluation" },
+    { id: "memoryOptimization", title: "Memory Optimization" },
+    { id: "algorithmOptimization", title: "Algorithm Optimization" },
+    { id: "asyncOptimization", title: "Async Optimization" },
+  ]
+
+  static SWEEP_SIZES = [10, 1000, 100000, 1000000]
+
+  // dataset: { size, seed, distribution } for generateUsers; benchmark: options for every benchmarkAll call
+  constructor({ benchmark = {}, ...dataset } = {}) {
+    super()
+    this.dataset = { ...DEFAULT_DATASET, seed: getSeed(), ...dataset }
+    this.benchmarkOptions = benchmark
+    this.testData = generateUsers(this.dataset)
+    // Latest statistics per example, read back by sweep()
+    this.stats = {}
   }
 
-  async run() {
-    const examples = [
-      await this.debouncingThrottling(),
-      this.lazyEvaluation(),
-      this.memoryOptimization(),
-      this.algorithmOptimization(),
-      this.asyncOptimization(),
-    ]
-
-    const output = examples.join("\n\n")
-
-    return {
-      output,
-      code: this.getSourceCode(),
-    }
-  }
-
-  // Debouncing and throttling patterns
-  async debouncingThrottling() {
-    // Debounce function
-    const debounce = (func, wait) => {
-      let timeout
-      return (...args) => {
-        clearTimeout(timeout)
-        timeout = setTimeout(() => func.apply(this, args), wait)
-      }
-    }
-
-    // Throttle function
-    const throttle = (func, limit) => {
-      let inThrottle
-      return (...args) => {
-        if (!inThrottle) {
-          func.apply(this, args)
-          inThrottle = true
-          setTimeout(() => (inThrottle = false), limit)
-        }
-      }
-    }
-
-    // Simulate expensive operations
-    let debounceCount = 0
-    let throttleCount = 0
-    let directCount = 0
-
-    const expensiveOperation = () => directCount++
-    const debouncedOperation = debounce(() => debounceCount++, 100)
-    const throttledOperation = throttle(() => throttleCount++, 100)
-
-    // Simulate rapid calls
-    const rapidCalls = Array.from({ length: 50 }, (_, i) => i)
-
-    rapidCalls.forEach(() => {
-      expensiveOperation()
-      debouncedOperation()
-      throttledOperation()
-    })
-
-    // Wait for debounce to complete
-    await new Promise((resolve) => setTimeout(resolve, 150))
-
-    return `⚡ Debouncing & Throttling:
-Direct calls: ${directCount}
-Debounced calls: ${debounceCount}
-Throttled calls: ${throttleCount}
-Performance improvement: ${Math.round((1 - debounceCount / directCount) * 100)}%`
+  // Debouncing and throttling on a shared timeline
+  debouncingThrottling() {
+    // Three scripted bursts of rapid calls, replayed on a virtual clock so timing is exact
+    const events = generateEvents("burst")
+    const wait = 100
+    const limit = 100
+    const maxWait = 150
+
+    // Default edges: debounce fires on the trailing edge, throttle on both
+    const timeline = simulateTimeline(events, { wait, limit, maxWait })
+    this.timeline = timeline
+
+    const [raw, debounced, capped, throttled] = timeline.lanes
+    const saved = (lane) => Math.round((1 - lane.marks.length / raw.marks.length) * 100)
+
+    return `⚡ Debouncing & Throttling (${raw.marks.length} calls in 3 bursts):
+${formatTimeline(timeline)}
+Debounced: ${debounced.marks.length} calls, ${wait}ms after each burst goes quiet (${saved(debounced)}% fewer)
+With maxWait: ${capped.marks.length} calls, never more than ${maxWait}ms apart while a burst lasts (${saved(capped)}% fewer)
+Throttled: ${throttled.marks.length} calls, at most one per ${limit}ms during a burst (${saved(throttled)}% fewer)`
   }
 
   // Lazy evaluation patterns
-  lazyEvaluation() {
-    // Lazy sequence generator
-    function* lazyRange(start, end) {
-      for (let i = start; i <= end; i++) {
-        yield i
-      }
-    }
+  async lazyEvaluation() {
+    const users = this.testData
+    const limit = 5
+    const average = (window) => window.reduce((sum, user) => sum + user.score, 0) / window.length
+    const decile = (user) => Math.floor(user.score / 10)
+
+    // The same question asked of an eager array chain and a lazy sequence. Each array method walks
+    // its whole input, so the eager chain touches every user; the lazy one stops pulling as soon as
+    // the end of the chain has what it asked for.
+    const pipelines = [
+      {
+        name: `first ${limit} active, score × 2`,
+        eager: (list) => list.filter((user) => user.active).map((user) => user.score * 2).slice(0, limit),
+        lazy: (seq) => seq.filter((user) => user.active).map((user) => user.score * 2).take(limit),
+      },
+      {
+        name: "first score above 99",
+        eager: (list) => list.filter((user) => user.score > 99).slice(0, 1).map((user) => user.id),
+        lazy: (seq) => seq.filter((user) => user.score > 99).take(1).map((user) => user.id),
+      },
+      {
+        name: "one user per score decile",
+        eager: (list) => {
+          const seen = new Set()
+          const firsts = list.filter((user) => !seen.has(decile(user)) && seen.add(decile(user)))
+          return firsts.slice(0, 10).map((user) => user.id)
+        },
+        lazy: (seq) =>
+          seq
+            .uniq(decile)
+            .take(10)
+            .map((user) => user.id),
+      },
+      {
+        name: "moving average of 3, first 4",
+        eager: (list) =>
+          list
+            .map((_, i) => list.slice(i, i + 3))
+            .filter((window) => window.length === 3)
+            .map(average)
+            .slice(0, 4),
+        lazy: (seq) => seq.window(3).map(average).take(4),
+      },
+      {
+        name: "running total until 500",
+        eager: (list) => {
+          let total = 0
+          const totals = list.map((user) => (total += user.score))
+          const end = totals.findIndex((value) => value >= 500)
+          return end === -1 ? totals : totals.slice(0, end)
+        },
+        lazy: (seq) => seq.scan((total, user) => total + user.score, 0).takeWhile((total) => total < 500),
+      },
+      {
+        name: "ranked first 3 (zip)",
+        eager: (list) => list.map((user, i) => `#${i + 1} ${user.name}`).slice(0, 3),
+        lazy: (seq) => Lazy.range(1).zip(seq).map(([rank, user]) => `#${rank} ${user.name}`).take(3),
+      },
+      {
+        name: "second batch of 100 (chunk)",
+        eager: (list) => list.map((user) => user.id).slice(100, 200),
+        lazy: (seq) => seq.map((user) => user.id).chunk(100).skip(1).take(1).flatMap((batch) => batch),
+      },
+    ]
 
-    // Lazy map implementation
-    function* lazyMap(iterable, mapper) {
-      for (const item of iterable) {
-        yield mapper(item)
-      }
-    }
+    const rows = pipelines.map(({ name, eager, lazy }) => {
+      let pulled = 0
+      const lazyResult = lazy(Lazy.from(users).tap(() => pulled++)).toArray()
+      const same = JSON.stringify(lazyResult) === JSON.stringify(eager(users))
+      return { name, pulled, same }
+    })
 
-    // Lazy filter implementation
-    function* lazyFilter(iterable, predicate) {
-      for (const item of iterable) {
-        if (predicate(item)) {
-          yield item
-        }
+    // Async sources work the same way: pages are only fetched while the pipeline still needs data
+    const pageSize = 100
+    let pagesFetched = 0
+    async function* fetchPages() {
+      for (let start = 0; start < users.length; start += pageSize) {
+        pagesFetched++
+        await Promise.resolve()
+        yield* users.slice(start, start + pageSize)
       }
     }
-
-    // Performance comparison
-    const start = performance.now()
-
-    // Eager evaluation
-    const eagerResult = this.testData
+    const firstActive = await AsyncLazy.from(fetchPages())
       .filter((user) => user.active)
-      .map((user) => user.score * 2)
-      .slice(0, 5)
-
-    const eagerTime = performance.now() - start
-
-    // Lazy evaluation
-    const lazyStart = performance.now()
-
-    const lazySequence = lazyFilter(this.testData, (user) => user.active)
-    const lazyMapped = lazyMap(lazySequence, (user) => user.score * 2)
-
-    const lazyResult = []
-    let count = 0
-    for (const score of lazyMapped) {
-      if (count >= 5) break
-      lazyResult.push(score)
-      count++
-    }
-
-    const lazyTime = performance.now() - lazyStart
-
-    return `🔄 Lazy Evaluation:
-Eager time: ${eagerTime.toFixed(3)}ms
-Lazy time: ${lazyTime.toFixed(3)}ms
-Performance gain: ${Math.round(((eagerTime - lazyTime) / eagerTime) * 100)}%
-Results match: ${JSON.stringify(eagerResult.slice(0, 2)) === JSON.stringify(lazyResult.slice(0, 2))}`
+      .take(limit)
+      .toArray()
+
+    // Timing for the first pipeline, which the size sweep charts against n
+    const { eager, lazy } = pipelines[0]
+    const stats = await benchmarkAll(
+      { eager: () => eager(users), lazy: () => lazy(Lazy.from(users)).toArray() },
+      this.benchmarkOptions,
+    )
+    this.stats.lazyEvaluation = stats
+
+    const nameWidth = Math.max(...rows.map(({ name }) => name.length))
+    const table = rows
+      .map(({ name, pulled, same }) => {
+        return `${name.padEnd(nameWidth)}  ${formatCount(pulled).padStart(7)}  ${same ? "✓" : "✗ differs"}`
+      })
+      .join("\n")
+
+    return `🔄 Lazy Evaluation (${formatCount(users.length)} users - each eager chain touches all of them):
+${"pipeline".padEnd(nameWidth)}  ${"pulled".padStart(7)}  same result
+${table}
+Async pages of ${pageSize}: ${pagesFetched} of ${Math.ceil(users.length / pageSize)} fetched for the first ${firstActive.length} active users
+Eager: ${formatStats(stats.eager)}
+Lazy: ${formatStats(stats.lazy)}
+Lazy vs eager: ${formatComparison(compare(stats.eager, stats.lazy))}`
   }
 
   // Memory optimization techniques
-  memoryOptimization() {
-    // Object pooling
-    class ObjectPool {
-      constructor(createFn, resetFn, initialSize = 10) {
-        this.createFn = createFn
-        this.resetFn = resetFn
-        this.pool = []
-
-        // Pre-populate pool
-        for (let i = 0; i < initialSize; i++) {
-          this.pool.push(this.createFn())
-        }
-      }
-
-      acquire() {
-        return this.pool.length > 0 ? this.pool.pop() : this.createFn()
-      }
-
-      release(obj) {
-        this.resetFn(obj)
-        this.pool.push(obj)
-      }
+  async memoryOptimization() {
+    const users = this.testData
+    const batchSize = 100
 
-      size() {
-        return this.pool.length
+    // Scratch objects for scoring users a batch at a time; each batch is released before the next
+    const createScratch = () => ({ id: 0, name: "", score: 0, active: false })
+    const scoreBatches = (acquire, release) => {
+      const batch = []
+      let total = 0
+      for (let start = 0; start < users.length; start += batchSize) {
+        batch.length = 0
+        for (const user of users.slice(start, start + batchSize)) batch.push(Object.assign(acquire(), user))
+        total += batch.reduce((sum, scratch) => sum + scratch.score, 0)
+        batch.forEach(release)
       }
+      return total
     }
 
-    // Create object pool for user objects
-    const userPool = new ObjectPool(
-      () => ({ id: 0, name: "", score: 0, active: false }),
-      (obj) => {
-        obj.id = 0
-        obj.name = ""
-        obj.score = 0
-        obj.active = false
+    // Without a pool every scratch object is a fresh allocation
+    let unpooledAllocations = 0
+    const unpooledTotal = scoreBatches(
+      () => {
+        unpooledAllocations++
+        return createScratch()
       },
+      () => {},
     )
 
-    // WeakMap for memory-efficient caching
-    const cache = new WeakMap()
-    const processUser = (user) => {
-      if (cache.has(user)) {
-        return cache.get(user)
-      }
+    // With a pool only the first batch allocates; every later batch reuses released objects
+    const userPool = new ObjectPool({
+      create: createScratch,
+      reset: (scratch) => Object.assign(scratch, createScratch()),
+      maxSize: batchSize,
+    })
+    const pooledTotal = scoreBatches(
+      () => userPool.acquire(),
+      (scratch) => userPool.release(scratch),
+    )
+    const { acquires, creations, reuseRatio, peak } = userPool.stats
+
+    // Releasing twice would hand the same object to two callers later, so the pool refuses
+    const scratch = userPool.acquire()
+    userPool.release(scratch)
+    let doubleRelease = "allowed"
+    try {
+      userPool.release(scratch)
+    } catch (error) {
+      doubleRelease = `rejected (${error.message})`
+    }
 
-      const processed = {
-        ...user,
-        processed: true,
-        timestamp: Date.now(),
+    // A validate hook keeps damaged objects out of circulation
+    const validatingPool = new ObjectPool({ create: createScratch, validate: (item) => Number.isFinite(item.score) })
+    const damaged = validatingPool.acquire()
+    damaged.score = NaN
+    validatingPool.release(damaged)
+
+    // Debug mode remembers where each outstanding object was acquired
+    const debugPool = new ObjectPool({ create: createScratch, debug: true })
+    const kept = debugPool.acquire()
+    debugPool.release(debugPool.acquire())
+    const leaks = debugPool.checkLeaks()
+    debugPool.release(kept)
+
+    // Caches keyed by short-lived request objects: once a request is gone, a Map still holds its
+    // entry, while a WeakMap lets the collector drop it with the key
+    const requests = Math.min(users.length, 100000)
+    const fillCache = (cache) => {
+      for (let i = 0; i < requests; i++) {
+        const request = { userId: users[i].id }
+        cache.set(request, { ...users[i], processed: true })
       }
-
-      cache.set(user, processed)
-      return processed
+      return cache
     }
 
-    // Test object pooling
-    const pooledObjects = []
-    for (let i = 0; i < 5; i++) {
-      const obj = userPool.acquire()
-      obj.id = i
-      obj.name = `Pooled User ${i}`
-      pooledObjects.push(obj)
+    // Heap growth straight after each step, and what is still held after a forced GC
+    const measurements = [
+      ["Map cache, keys dropped", () => fillCache(new Map())],
+      ["WeakMap cache, keys dropped", () => fillCache(new WeakMap())],
+      ["Scratch objects, unpooled", () => void scoreBatches(createScratch, () => {})],
+      [
+        "Scratch objects, pooled",
+        () => {
+          const pool = new ObjectPool({ create: createScratch, maxSize: batchSize })
+          scoreBatches(
+            () => pool.acquire(),
+            (item) => pool.release(item),
+          )
+          return pool
+        },
+      ],
+    ]
+    const heap = []
+    for (const [label, build] of measurements) {
+      heap.push({ label, ...(await measureRetained(build)) })
     }
-
-    // Release objects back to pool
-    pooledObjects.forEach((obj) => userPool.release(obj))
-
-    return `💾 Memory Optimization:
-Object Pool Size: ${userPool.size()}
-WeakMap Cache: Automatic garbage collection
-Memory-efficient patterns implemented
-Pool reuse: ${pooledObjects.length} objects recycled`
+    this.memory = heap
+
+    const labelWidth = Math.max(...heap.map(({ label }) => label.length))
+    const heapTable = heap
+      .map(({ label, allocated, retained }) => {
+        return `${label.padEnd(labelWidth)}  ${formatBytes(allocated).padStart(10)}  ${formatBytes(retained).padStart(10)}`
+      })
+      .join("\n")
+
+    return `💾 Memory Optimization (${formatCount(users.length)} users in batches of ${batchSize}):
+Allocations without pool: ${formatCount(unpooledAllocations)}
+Allocations with pool: ${formatCount(creations)} for ${formatCount(acquires)} acquires (${(reuseRatio * 100).toFixed(1)}% reused, peak ${peak} outstanding)
+Same totals: ${unpooledTotal === pooledTotal}
+Double release: ${doubleRelease}
+Validation: ${validatingPool.stats.discarded} damaged object discarded, ${validatingPool.stats.idle} kept for reuse
+Leak check (debug mode): ${leaks.length} object not released, acquired ${leaks[0]?.stack.split("\n")[0].trim() ?? "nowhere"}
+
+Heap (${formatCount(requests)} cache entries; ${describeMemorySource()}):
+${"".padEnd(labelWidth)}  ${"allocated".padStart(10)}  ${"retained".padStart(10)}
+${heapTable}`
   }
 
   // Algorithm optimization
-  algorithmOptimization() {
+  async algorithmOptimization() {
     // Binary search vs linear search
     const sortedData = [...this.testData].sort((a, b) => a.score - b.score)
     const targetScore = 50
 
     // Linear search
-    const linearStart = performance.now()
-    const linearResult = sortedData.find((user) => user.score >= targetScore)
-    const linearTime = performance.now() - linearStart
+    const linearSearch = (arr, target) => arr.find((user) => user.score >= target)
 
     // Binary search
     const binarySearch = (arr, target) => {
@@ -242,148 +331,299 @@ Pool reuse: ${pooledObjects.length} objects recycled`
       return null
     }
 
-    const binaryStart = performance.now()
-    const binaryResult = binarySearch(sortedData, targetScore)
-    const binaryTime = performance.now() - binaryStart
-
-    // Hash table optimization
-    const hashStart = performance.now()
-    const scoreMap = new Map()
-    sortedData.forEach((user) => {
-      const scoreKey = Math.floor(user.score)
-      if (!scoreMap.has(scoreKey)) {
-        scoreMap.set(scoreKey, [])
-      }
-      scoreMap.get(scoreKey).push(user)
-    })
-
-    const hashResult = scoreMap.get(Math.floor(targetScore))?.[0]
-    const hashTime = performance.now() - hashStart
+    // Hash table optimization - pay for the index once, then look up in O(1)
+    const buildIndex = (arr) => {
+      const scoreMap = new Map()
+      arr.forEach((user) => {
+        const scoreKey = Math.floor(user.score)
+        if (!scoreMap.has(scoreKey)) {
+          scoreMap.set(scoreKey, [])
+        }
+        scoreMap.get(scoreKey).push(user)
+      })
+      return scoreMap
+    }
+    const scoreMap = buildIndex(sortedData)
 
-    return `🚀 Algorithm Optimization:
-Linear Search: ${linearTime.toFixed(4)}ms
-Binary Search: ${binaryTime.toFixed(4)}ms
-Hash Lookup: ${hashTime.toFixed(4)}ms
-Binary vs Linear: ${Math.round(linearTime / binaryTime)}x faster
-Hash Map: ${Math.round(linearTime / hashTime)}x faster`
+    const candidates = {
+      linear: () => linearSearch(sortedData, targetScore),
+      binary: () => binarySearch(sortedData, targetScore),
+      hashLookup: () => scoreMap.get(Math.floor(targetScore))?.[0],
+      hashBuild: () => buildIndex(sortedData),
+    }
+    const stats = await benchmarkAll(candidates, this.benchmarkOptions)
+    this.stats.algorithmOptimization = stats
+
+    const sameResult = linearSearch(sortedData, targetScore) === binarySearch(sortedData, targetScore)
+
+    return `🚀 Algorithm Optimization (${sortedData.length} users, first score ≥ ${targetScore}):
+Linear Search: ${formatStats(stats.linear)}
+Binary Search: ${formatStats(stats.binary)}
+Hash Lookup: ${formatStats(stats.hashLookup)}
+Hash Index Build: ${formatStats(stats.hashBuild)}
+Binary vs Linear: ${formatComparison(compare(stats.linear, stats.binary))}
+Hash Lookup vs Linear: ${formatComparison(compare(stats.linear, stats.hashLookup))}
+Linear and binary agree: ${sameResult}`
   }
 
   // Async optimization patterns
   async asyncOptimization() {
-    // Simulate async operations
-    const asyncOperation = (delay, value) => new Promise((resolve) => setTimeout(() => resolve(value), delay))
-
-    // Sequential vs parallel execution
-    const sequentialStart = performance.now()
-    const seq1 = await asyncOperation(50, "A")
-    const seq2 = await asyncOperation(50, "B")
-    const seq3 = await asyncOperation(50, "C")
-    const sequentialTime = performance.now() - sequentialStart
-
-    const parallelStart = performance.now()
-    const [par1, par2, par3] = await Promise.all([
-      asyncOperation(50, "A"),
-      asyncOperation(50, "B"),
-      asyncOperation(50, "C"),
-    ])
-    const parallelTime = performance.now() - parallelStart
-
-    // Batch processing
-    const batchStart = performance.now()
-    const batchSize = 100
-    const batches = []
-
-    for (let i = 0; i < this.testData.length; i += batchSize) {
-      const batch = this.testData.slice(i, i + batchSize)
-      batches.push(Promise.resolve(batch.map((user) => user.score * 2)))
+    const random = createRandom("performance:flaky-service")
+    const requests = 30
+    const capacity = 8
+
+    // A simulated backend: 10-40ms per call, proportionally slower once more than `capacity` calls
+    // overlap, with failures that grow under load and the occasional call that never answers
+    let inFlight = 0
+    const callService = async (signal) => {
+      inFlight++
+      try {
+        const load = Math.max(1, inFlight / capacity)
+        const hangs = random.chance(0.03)
+        await sleep(hangs ? 1000 : (10 + random.next() * 30) * load, { signal })
+        if (random.chance(0.1 * load)) throw new Error("503 Service Unavailable")
+        return "ok"
+      } finally {
+        inFlight--
+      }
     }
 
-    const batchResults = await Promise.all(batches)
-    const batchTime = performance.now() - batchStart
+    // Every request gets a 100ms timeout per attempt and up to 3 retries with jittered backoff
+    const runBatch = async ({ concurrency, limiter, signal }) => {
+      const pool = new TaskPool({ concurrency, signal })
+      const latencies = []
+      let retries = 0
+      let timeouts = 0
+
+      const request = (taskSignal) =>
+        retry(
+          async () => {
+            if (limiter) await limiter.acquire({ signal: taskSignal })
+            return withTimeout(callService, 100, { signal: taskSignal })
+          },
+          {
+            retries: 3,
+            minDelay: 10,
+            maxDelay: 200,
+            signal: taskSignal,
+            shouldRetry: (error) => error.name !== "AbortError",
+            onRetry: ({ error }) => {
+              retries++
+              if (error.name === "TimeoutError") timeouts++
+            },
+          },
+        )
+
+      const started = performance.now()
+      const results = await Promise.allSettled(
+        Array.from({ length: requests }, () =>
+          pool.run(async (taskSignal) => {
+            const begin = performance.now()
+            await request(taskSignal)
+            latencies.push(performance.now() - begin)
+          }),
+        ),
+      )
+      const elapsed = performance.now() - started
+      const succeeded = results.filter(({ status }) => status === "fulfilled").length
+      const sorted = latencies.sort((a, b) => a - b)
+      const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] ?? NaN
+
+      return {
+        concurrency,
+        succeeded,
+        failed: results.length - succeeded - pool.stats.cancelled,
+        cancelled: pool.stats.cancelled,
+        retries,
+        timeouts,
+        elapsed,
+        throughput: (succeeded / elapsed) * 1000,
+        p50: percentile(0.5),
+        p95: percentile(0.95),
+      }
+    }
 
-    return `⚡ Async Optimization:
-Sequential: ${sequentialTime.toFixed(2)}ms
-Parallel: ${parallelTime.toFixed(2)}ms
-Batch Processing: ${batchTime.toFixed(2)}ms
-Parallel speedup: ${Math.round(sequentialTime / parallelTime)}x faster
-Batches processed: ${batches.length}`
+    const runs = []
+    for (const concurrency of [1, 4, 8, 32]) {
+      runs.push(await runBatch({ concurrency }))
+    }
+    this.concurrencyRuns = runs
+
+    // A token bucket in front of the service caps throughput however many workers there are
+    const limited = await runBatch({ concurrency: 32, limiter: new RateLimiter({ rate: 100, burst: 5 }) })
+
+    // Cancelling mid-batch rejects queued work and aborts the calls in flight
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 60)
+    const cancelled = await runBatch({ concurrency: 4, signal: controller.signal })
+
+    const cells = (values) => values.map((value, i) => (i === 0 ? value.padEnd(7) : value.padStart(9))).join(" ")
+    const header = cells(["workers", "req/s", "p50", "p95", "retries", "timeouts", "failed"])
+    const row = (run, label = String(run.concurrency)) =>
+      cells([
+        label,
+        run.throughput.toFixed(0),
+        formatTime(run.p50),
+        formatTime(run.p95),
+        String(run.retries),
+        String(run.timeouts),
+        String(run.failed),
+      ])
+
+    return `⚡ Async Optimization - ${requests} requests to a flaky service (slows down past ${capacity} in flight):
+${header}
+${runs.map((run) => row(run)).join("\n")}
+Rate limited to 100 req/s with 32 workers:
+${row(limited, "32")}
+Cancelled after 60ms with 4 workers: ${cancelled.succeeded} finished, ${cancelled.cancelled} cancelled`
   }
 
-  getSourceCode() {
-    return `
-// Performance Optimization Patterns
-
-// 1. Debouncing & Throttling
-const debounce = (func, wait) => {
-    let timeout;
-    return (...args) => {
-        clearTimeout(timeout);
-        timeout = setTimeout(() => func.apply(this, args), wait);
-    };
-};
-
-const throttle = (func, limit) => {
-    let inThrottle;
-    return (...args) => {
-        if (!inThrottle) {
-            func.apply(this, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
-        }
-    };
-};
-
-// 2. Lazy Evaluation
-function* lazyMap(iterable, mapper) {
-    for (const item of iterable) {
-        yield mapper(item);
+  // A timeline for debouncing, otherwise one bar per benchmarked candidate from the statistics the
+  // example just recorded
+  getExampleCharts({ id, title }) {
+    if (id === "debouncingThrottling") {
+      if (!this.timeline) return []
+      return [{ id, title, svg: timelineChart({ title: `${title} - when each handler fires`, ...this.timeline }) }]
     }
-}
 
-function* lazyFilter(iterable, predicate) {
-    for (const item of iterable) {
-        if (predicate(item)) yield item;
+    if (id === "asyncOptimization") {
+      if (!this.concurrencyRuns) return []
+      return this.getConcurrencyCharts(id, title, this.concurrencyRuns)
     }
-}
 
-// 3. Object Pooling
-class ObjectPool {
-    constructor(createFn, resetFn, initialSize = 10) {
-        this.createFn = createFn;
-        this.resetFn = resetFn;
-        this.pool = [];
-        for (let i = 0; i < initialSize; i++) {
-            this.pool.push(this.createFn());
-        }
-    }
-    
-    acquire() {
-        return this.pool.length > 0 ? this.pool.pop() : this.createFn();
+    const stats = this.stats[id]
+    if (!stats) return []
+
+    const svg = svgBarChart({
+      title: `${title} - mean time per call (95% CI)`,
+      format: formatTime,
+      bars: Object.entries(stats).map(([candidate, candidateStats]) => ({
+        label: candidate,
+        value: candidateStats.mean,
+        error: marginOfError(candidateStats),
+        tooltip: `${candidate}: ${formatStats(candidateStats)}`,
+      })),
+    })
+    return [{ id, title, svg }]
+  }
+
+  // Throughput bars and a latency line per worker count from asyncOptimization's batches
+  getConcurrencyCharts(id, title, runs) {
+    const throughput = svgBarChart({
+      title: `${title} - successful requests per second`,
+      format: (value) => `${Math.round(value)}/s`,
+      scale: "linear",
+      bars: runs.map((run) => ({
+        label: `${run.concurrency} worker${run.concurrency === 1 ? "" : "s"}`,
+        value: run.throughput,
+        tooltip: `${run.concurrency} workers: ${run.succeeded} ok, ${run.retries} retries, ${run.timeouts} timeouts`,
+      })),
+    })
+    const latency = lineChart({
+      title: `${title} - request latency incl. retries`,
+      xLabel: "workers",
+      yLabel: "latency",
+      formatY: formatTime,
+      logY: false,
+      series: ["p50", "p95"].map((key) => ({
+        name: key,
+        points: runs.map((run) => ({ x: run.concurrency, y: run[key] })),
+      })),
+    })
+    return [
+      { id, title, svg: throughput },
+      { id: `${id}-latency`, title: `${title} latency`, svg: latency },
+    ]
+  }
+
+  // Re-run the size-dependent examples on fresh datasets of each size and chart median time against n
+  async sweep({ sizes = PerformanceDemo.SWEEP_SIZES, onProgress = () => {} } = {}) {
+    const series = {}
+
+    for (const size of sizes) {
+      onProgress(`Benchmarking n=${formatCount(size)}...`)
+      const demo = new PerformanceDemo({ ...this.dataset, size, benchmark: SWEEP_BENCHMARK_OPTIONS })
+
+      for (const { id } of SWEEP_EXAMPLES) {
+        await demo[id]()
+        Object.entries(demo.stats[id]).forEach(([candidate, stats]) => {
+          series[id] ??= {}
+          series[id][candidate] ??= []
+          series[id][candidate].push({ size, stats })
+        })
+      }
     }
-    
-    release(obj) {
-        this.resetFn(obj);
-        this.pool.push(obj);
+
+    return {
+      dataset: this.dataset,
+      sizes,
+      series,
+      output: this.formatSweep(sizes, series),
+      charts: this.getSweepCharts(series),
     }
-}
+  }
+
+  // Time against n for every candidate, one line chart per example. Plots the median, like the text
+  // report, with the interquartile range as its bar - rme is the margin of error of the mean
+  getSweepCharts(series) {
+    const { distribution, seed } = this.dataset
+
+    return SWEEP_EXAMPLES.map(({ id, title }) => ({
+      id: `sweep-${id}`,
+      title: `${title} sweep`,
+      svg: lineChart({
+        title: `${title} - time vs n (${distribution}, seed ${seed})`,
+        xLabel: "users (n)",
+        yLabel: "median time per call (IQR)",
+        formatX: formatCount,
+        formatY: formatTime,
+        series: Object.entries(series[id]).map(([candidate, points]) => ({
+          name: candidate,
+          points: points.map(({ size, stats }) => ({
+            x: size,
+            y: stats.median,
+            low: stats.p25,
+            high: stats.p75,
+            tooltip: `${candidate} @ n=${formatCount(size)}: ${formatStats(stats)}`,
+          })),
+        })),
+      }),
+    }))
+  }
 
-// 4. Binary Search Optimization
-const binarySearch = (arr, target) => {
-    let left = 0, right = arr.length - 1;
-    while (left <= right) {
-        const mid = Math.floor((left + right) / 2);
-        if (arr[mid] === target) return mid;
-        arr[mid] < target ? left = mid + 1 : right = mid - 1;
+  formatSweep(sizes, series) {
+    const { seed, distribution } = this.dataset
+    const sizeLabels = sizes.map((size) => `n=${formatCount(size)}`)
+    const all = Object.values(series).flatMap((candidates) => Object.values(candidates).flat())
+    const scale = {
+      log: true,
+      min: Math.min(...all.map(({ stats }) => stats.median)),
+      max: Math.max(...all.map(({ stats }) => stats.median)),
     }
-    return -1;
-};
-
-// 5. Parallel Async Processing
-const results = await Promise.all([
-    asyncOperation1(),
-    asyncOperation2(),
-    asyncOperation3()
-]);
-        `
+
+    const sections = SWEEP_EXAMPLES.map(({ id, title, comparisons }) => {
+      const charts = Object.entries(series[id]).map(([candidate, points]) => {
+        const rows = points.map(({ stats }, i) => ({
+          label: `  ${sizeLabels[i]}`,
+          value: stats.median,
+          display: `${formatTime(stats.median)} (IQR ${formatTime(stats.p25)}-${formatTime(stats.p75)})`,
+        }))
+        return `${candidate}\n${barChart(rows, scale)}`
+      })
+
+      const speedups = comparisons.map(([baseline, candidate]) => {
+        const ratios = sizes.map((_, i) => {
+          const { speedup, significant } = compare(series[id][baseline][i].stats, series[id][candidate][i].stats)
+          return `${sizeLabels[i]} ${significant ? `${speedup.toFixed(speedup >= 10 ? 0 : 2)}x` : "≈"}`
+        })
+        return `${candidate} vs ${baseline}: ${ratios.join(" · ")}`
+      })
+
+      return `${title}\n${charts.join("\n")}\n${speedups.join("\n")}`
+    })
+
+    return `📈 Size Sweep (${distribution}, seed ${seed}) - median time per call, log scale:
+
+${sections.join("\n\n")}`
   }
 }
@@ -0,0 +1,126 @@
+// Code Playground - runs edited snippets in their own scope with a captured console
+
+export const SOURCE_URL = "playground-snippet.js"
+const CONSOLE_LEVELS = ["log", "info", "warn", "error", "debug"]
+
+// Snippets shown in the code panel are usually class methods: "name() { ... }", possibly several
+// of them separated by comments. Control-flow keywords would look the same, so rule them out.
+const METHOD_HEADER =
+  /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*(?:async\s+)?(?:\*\s*)?(?!(?:if|for|while|switch|catch|with|function)\b)[A-Za-z_$][\w$]*\s*\([^)]*\)\s*\{/
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor
+
+export const formatValue = (value) => {
+  if (typeof value === "string") return value
+  if (typeof value === "function") return `[Function ${value.name || "anonymous"}]`
+  if (value instanceof Error) return `${value.name}: ${value.message}`
+  if (typeof value === "bigint") return `${value}n`
+  if (value === undefined || typeof value === "symbol") return String(value)
+
+  try {
+    return JSON.stringify(value, null, 2) ?? String(value)
+  } catch {
+    return String(value)
+  }
+}
+
+// Every console call becomes a { level, text, timestamp } entry
+export const createConsole = (onEntry) =>
+  Object.fromEntries(
+    CONSOLE_LEVELS.map((level) => [
+      level,
+      (...args) => onEntry({ level, text: args.map(formatValue).join(" "), timestamp: Date.now() }),
+    ]),
+  )
+
+// Method snippets become a class body; each method runs in order with the demo as `this`.
+// The snippet always starts on the first line so error locations need no extra mapping.
+const runMethods = `
+const methods = Object.getOwnPropertyNames(Snippet.prototype).filter((name) => name !== "constructor")
+const results = []
+for (const name of methods) results.push(await Snippet.prototype[name].call(thisArg))
+return results.length === 1 ? results[0] : results.join("\\n\\n")`
+
+export const wrapSnippet = (code) => {
+  const body = METHOD_HEADER.test(code) ? `const Snippet = class {${code}\n}${runMethods}` : code
+  return `${body}\n//# sourceURL=${SOURCE_URL}`
+}
+
+// Shadow the globals a snippet could use to reach the page or talk to the worker host
+const SHADOWED_GLOBALS = [
+  "window",
+  "document",
+  "globalThis",
+  "self",
+  "localStorage",
+  "sessionStorage",
+  "postMessage",
+  "importScripts",
+  "close",
+]
+
+const PARAMS = ["console", "thisArg", ...SHADOWED_GLOBALS]
+
+const compile = (code, globalNames) => new AsyncFunction(...PARAMS, ...globalNames, wrapSnippet(code))
+
+// Engines prepend a different number of header lines to generated functions, so measure it once
+// with a synchronous probe built the same way
+let lineOffset = null
+const getLineOffset = () => {
+  if (lineOffset === null) {
+    try {
+      new Function(...PARAMS, `throw new Error()\n//# sourceURL=${SOURCE_URL}`)()
+    } catch (error) {
+      lineOffset = (locateError(error, 0)?.line ?? 1) - 1
+    }
+  }
+  return lineOffset
+}
+
+const locateError = (error, offset) => {
+  const match = String(error?.stack ?? "").match(new RegExp(`${SOURCE_URL.replace(".", "\\.")}:(\\d+):(\\d+)`))
+  if (!match) return null
+  return { line: Number(match[1]) - offset, column: Number(match[2]) }
+}
+
+// Plain-data error description; offset is the number of wrapper lines before the snippet
+export const describeError = (error, offset = getLineOffset()) => ({
+  name: error?.name ?? "Error",
+  message: error?.message ?? String(error),
+  ...(error instanceof SyntaxError ? null : locateError(error, offset)),
+})
+
+// Runs in the current realm. The page uses this only inside a sandbox worker; pass timeout: null
+// there and let the host enforce limits, since a synchronous loop can't be interrupted from within.
+// globals are extra names in scope for the snippet, e.g. shared helpers the demo imported.
+export const runSnippet = async (code, { thisArg = null, timeout = 2000, onLog = () => {}, globals = {} } = {}) => {
+  const logs = []
+  const started = performance.now()
+  let timer
+
+  const sandboxConsole = createConsole((entry) => {
+    logs.push(entry)
+    onLog(entry)
+  })
+
+  try {
+    const fn = compile(code, Object.keys(globals))
+    const shadowed = SHADOWED_GLOBALS.map(() => undefined)
+    const pending = [fn(sandboxConsole, thisArg, ...shadowed, ...Object.values(globals))]
+
+    if (timeout !== null) {
+      pending.push(
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Execution timed out after ${timeout}ms`)), timeout)
+        }),
+      )
+    }
+
+    const result = await Promise.race(pending)
+    return { logs, result, error: null, duration: performance.now() - started }
+  } catch (error) {
+    return { logs, result: undefined, error: describeError(error), duration: performance.now() - started }
+  } finally {
+    clearTimeout(timer)
+  }
+}
@@ -0,0 +1,192 @@
+// Learner Progress Store - challenge attempts, demo runs and edited snippets
+export const PROGRESS_SCHEMA_VERSION = 1
+const HISTORY_LIMIT = 50
+
+const emptyState = () => ({
+  version: PROGRESS_SCHEMA_VERSION,
+  updatedAt: null,
+  challenges: {},
+  examples: {},
+  snippets: {},
+  lastRun: null,
+})
+
+// migrations[n] upgrades a version-n document to version n + 1
+const migrations = {
+  // Documents written without a version envelope (hand-edited or partial exports)
+  0: (data) => ({
+    ...emptyState(),
+    ...data,
+    version: 1,
+    challenges: data.challenges ?? {},
+    examples: data.examples ?? {},
+    snippets: data.snippets ?? {},
+    lastRun: data.lastRun ?? null,
+  }),
+}
+
+export const migrateProgress = (data) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new TypeError("Progress data must be a JSON object")
+  }
+
+  let current = { ...data }
+  let version = Number.isInteger(current.version) ? current.version : 0
+
+  if (version > PROGRESS_SCHEMA_VERSION) {
+    throw new Error(`Progress schema v${version} is newer than supported v${PROGRESS_SCHEMA_VERSION}`)
+  }
+
+  while (version < PROGRESS_SCHEMA_VERSION) {
+    const migrate = migrations[version]
+    if (!migrate) {
+      throw new Error(`No migration from progress schema v${version}`)
+    }
+    current = migrate(current)
+    version = current.version
+  }
+
+  return current
+}
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && Object.getPrototypeOf(value) === Object.prototype
+
+// Every section must be an object and every history a list, or pushHistory() would throw later
+const malformedFields = (state) => {
+  const sections = ["challenges", "examples", "snippets"].filter((key) => !isPlainObject(state[key]))
+  const histories = [
+    ["challenges", "attempts"],
+    ["examples", "history"],
+  ].flatMap(([section, field]) =>
+    isPlainObject(state[section])
+      ? Object.entries(state[section])
+          .filter(([, entry]) => !isPlainObject(entry) || (entry[field] !== undefined && !Array.isArray(entry[field])))
+          .map(([id]) => `${section}["${id}"].${field}`)
+      : [],
+  )
+  return [...sections, ...histories]
+}
+
+// A stored or imported document, migrated and filled in with defaults
+const toState = (data) => {
+  const { exportedAt, ...stored } = migrateProgress(data)
+  const state = { ...emptyState(), ...stored }
+  const malformed = malformedFields(state)
+  if (malformed.length > 0) {
+    throw new TypeError(`Progress data is malformed: ${malformed.join(", ")} (expected objects and lists)`)
+  }
+  return state
+}
+
+const pushHistory = (history = [], entry) => [...history, entry].slice(-HISTORY_LIMIT)
+
+export class ProgressStore {
+  constructor(adapter) {
+    this.adapter = adapter
+    this.state = emptyState()
+    this.saving = Promise.resolve()
+  }
+
+  static async open(adapter) {
+    const store = new ProgressStore(adapter)
+    await store.load()
+    return store
+  }
+
+  async load() {
+    const data = await this.adapter.load()
+    this.state = data ? toState(data) : emptyState()
+    return this
+  }
+
+  // Saves are queued so overlapping writes land in order
+  persist() {
+    this.state.updatedAt = new Date().toISOString()
+    const snapshot = structuredClone(this.state)
+    this.saving = this.saving.catch(() => {}).then(() => this.adapter.save(snapshot))
+    // A failed save surfaces through flush(), not as an unhandled rejection
+    this.saving.catch(() => {})
+    return this.saving
+  }
+
+  flush() {
+    return this.saving
+  }
+
+  // Writes update memory right away and queue a save; await flush() to know it landed
+
+  // Challenges
+  recordAttempt(challengeId, { passed, passedCount, total }) {
+    const previous = this.state.challenges[challengeId] ?? { completed: false, completedAt: null, attempts: [] }
+    const timestamp = new Date().toISOString()
+
+    this.state.challenges[challengeId] = {
+      completed: previous.completed || passed,
+      completedAt: previous.completedAt ?? (passed ? timestamp : null),
+      attempts: pushHistory(previous.attempts, { timestamp, passed, passedCount, total }),
+    }
+    this.persist()
+    return this.state.challenges[challengeId]
+  }
+
+  isCompleted(challengeId) {
+    return Boolean(this.state.challenges[challengeId]?.completed)
+  }
+
+  completedChallenges() {
+    return Object.keys(this.state.challenges).filter((id) => this.isCompleted(id))
+  }
+
+  // Demo runs - target is a demo id or "demo:example"
+  recordRun(target, { ok }) {
+    const previous = this.state.examples[target] ?? { runs: 0, lastRunAt: null, history: [] }
+    const timestamp = new Date().toISOString()
+
+    this.state.examples[target] = {
+      runs: previous.runs + 1,
+      lastRunAt: timestamp,
+      history: pushHistory(previous.history, { timestamp, ok }),
+    }
+    this.state.lastRun = { target, timestamp }
+    this.persist()
+  }
+
+  get lastRun() {
+    return this.state.lastRun
+  }
+
+  // Edited snippets - keyed by code panel label or "challenge:<id>"
+  getSnippet(key) {
+    return this.state.snippets[key]?.code ?? null
+  }
+
+  saveSnippet(key, code) {
+    this.state.snippets[key] = { code, updatedAt: new Date().toISOString() }
+    this.persist()
+  }
+
+  clearSnippet(key) {
+    if (!(key in this.state.snippets)) return
+    delete this.state.snippets[key]
+    this.persist()
+  }
+
+  // Versioned JSON for moving progress between machines
+  export() {
+    return JSON.stringify({ ...this.state, exportedAt: new Date().toISOString() }, null, 2)
+  }
+
+  // Checked before anything is replaced, so a bad file leaves the current progress alone
+  import(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json
+    this.state = toState(data)
+    this.persist()
+    return this
+  }
+
+  reset() {
+    this.state = emptyState()
+    this.persist()
+  }
+}
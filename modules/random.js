@@ -0,0 +1,68 @@
+// Seeded Random Numbers - mulberry32, small and fast with a full 2^32 period.
+// Not for security; the point is that the same seed always produces the same sequence.
+// Every demo draws from here instead of Math.random(), so one seed (?seed=42, --seed 42)
+// reproduces the whole showcase.
+export const DEFAULT_SEED = 42
+
+let currentSeed = DEFAULT_SEED
+
+// FNV-1a, used to derive an independent stream per consumer from the shared seed
+const hashString = (text) => {
+  let hash = 0x811c9dc5
+  for (const char of text) {
+    hash ^= char.codePointAt(0)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Seeds are unsigned 32-bit integers; anything else is rejected rather than silently coerced
+export const parseSeed = (value) => {
+  const text = String(value ?? "").trim()
+  if (!/^\d+$/.test(text) || Number(text) > 0xffffffff) return null
+  return Number(text)
+}
+
+export const getSeed = () => currentSeed
+
+export const setSeed = (seed) => {
+  const parsed = parseSeed(seed)
+  if (parsed === null) {
+    throw new RangeError(`Seed must be an integer from 0 to ${0xffffffff}, got "${seed}"`)
+  }
+  currentSeed = parsed
+  return currentSeed
+}
+
+// A generator for one consumer, e.g. createRandom("performance"). Streams are independent, so
+// running demos in a different order (or just one of them) doesn't change what each one draws.
+export const createRandom = (stream = "") =>
+  new Random(stream ? (currentSeed ^ hashString(stream)) >>> 0 : currentSeed)
+
+export class Random {
+  constructor(seed = DEFAULT_SEED) {
+    if (!Number.isFinite(Number(seed))) {
+      throw new TypeError(`Seed must be a number, got "${seed}"`)
+    }
+    this.seed = Number(seed) >>> 0
+    this.state = this.seed
+  }
+
+  // Float in [0, 1), a drop-in for Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  // Integer in [min, max)
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min))
+  }
+
+  chance(probability = 0.5) {
+    return this.next() < probability
+  }
+}
@@ -0,0 +1,346 @@
+// Reactive Store - deep-proxied state with computed values, watchers, batched updates and
+// time-travel snapshots.
+// Reads made while a computed value or a watcher runs are recorded as its dependencies, by path
+// ("order.quantity"), so a write re-runs only what actually read that path. Computed values are
+// cached until a dependency changes and recomputed on the next read. Watchers are EventEmitter
+// subscriptions, so one that throws is reported through onError and the others still run.
+import { EventEmitter } from "./eventEmitter.js"
+
+// Dependency on an object's set of keys - Object.keys(), for...in, JSON.stringify() - rather than
+// on any one value
+const KEYS = "#keys"
+
+// Array methods that write several indexes and the length in one call; each runs as one batch so
+// watchers see the finished array and undo reverts the whole call
+const ARRAY_MUTATORS = new Set(["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"])
+
+// Rounds of watchers writing state that other watchers read before propagate() gives up
+const MAX_PROPAGATION_ROUNDS = 100
+
+const isPlain = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype)
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key))
+
+const readPath = (object, path) => path.split(".").reduce((value, key) => value?.[key], object)
+
+// Every path whose value differs between two state trees, so time travel re-runs only what changed
+const diffPaths = (before, after, path = "", changed = new Set()) => {
+  if (Object.is(before, after)) return changed
+  if (!isPlain(before) || !isPlain(after) || Array.isArray(before) !== Array.isArray(after)) {
+    changed.add(path)
+    return changed
+  }
+  if (Array.isArray(before) && before.length !== after.length) changed.add(joinPath(path, "length"))
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!Object.hasOwn(before, key) || !Object.hasOwn(after, key)) changed.add(joinPath(path, KEYS))
+    diffPaths(before[key], after[key], joinPath(path, key), changed)
+  }
+  return changed
+}
+
+export class ReactiveStore {
+  // state: plain data (copied); computed: { name: (state, computed) => value }; historyLimit: how
+  // many snapshots time travel keeps; onError: (error, { event }) for watchers that throw
+  constructor({ state = {}, computed = {}, historyLimit = 50, onError } = {}) {
+    this.raw = structuredClone(state)
+    this.raws = new WeakMap()
+    // Proxies per object and path: an array element that moves to another index gets a new proxy
+    this.proxies = new WeakMap()
+    // path -> Set of computed and watcher records that read it
+    this.subscribers = new Map()
+    this.tracking = []
+    this.pending = new Set()
+    this.batchDepth = 0
+    this.propagating = false
+    this.watcherCount = 0
+    this.events = new EventEmitter({ maxListeners: Infinity, onError })
+
+    this.state = this.wrap(this.raw, "")
+    this.computed = {}
+    Object.entries(computed).forEach(([name, getter]) => this.defineComputed(name, getter))
+
+    this.historyLimit = historyLimit
+    this.history = [{ label: "initial", paths: [], state: structuredClone(this.raw) }]
+    this.historyIndex = 0
+  }
+
+  wrap(target, path) {
+    let byPath = this.proxies.get(target)
+    if (!byPath) {
+      byPath = new Map()
+      this.proxies.set(target, byPath)
+    }
+    if (byPath.has(path)) return byPath.get(path)
+
+    const store = this
+    const mutators = new Map()
+    const proxy = new Proxy(target, {
+      get(obj, key, receiver) {
+        if (typeof key === "symbol") return Reflect.get(obj, key, receiver)
+        if (Array.isArray(obj) && ARRAY_MUTATORS.has(key) && !Object.hasOwn(obj, key)) {
+          if (!mutators.has(key)) {
+            const method = Array.prototype[key]
+            const label = `${key} ${path || "state"}`
+            mutators.set(key, (...args) => store.batch(() => method.apply(proxy, args), label))
+          }
+          return mutators.get(key)
+        }
+        // Inherited members (array methods, toString) aren't state; missing keys are, as they may appear
+        if (Object.hasOwn(obj, key) || !(key in obj)) store.track(joinPath(path, key))
+        const value = Reflect.get(obj, key, receiver)
+        return isPlain(value) ? store.wrap(value, joinPath(path, key)) : value
+      },
+
+      set(obj, key, value, receiver) {
+        if (typeof key === "symbol") return Reflect.set(obj, key, value, receiver)
+        const had = Object.hasOwn(obj, key)
+        if (had && Object.is(obj[key], value)) return true
+
+        const length = Array.isArray(obj) ? obj.length : undefined
+        // Stored values are copies, so the state stays a tree of plain data that snapshots can clone
+        obj[key] = isPlain(value) ? structuredClone(store.raws.get(value) ?? value) : value
+
+        const label = `set ${joinPath(path, key)}`
+        const changed = [joinPath(path, key)]
+        if (!had) changed.push(joinPath(path, KEYS))
+        if (length !== undefined && obj.length !== length) {
+          changed.push(joinPath(path, "length"))
+          // Shortening an array removes the elements past the new end
+          for (let index = obj.length; index < length; index++) changed.push(joinPath(path, index))
+        }
+        store.trigger(changed, label)
+        return true
+      },
+
+      deleteProperty(obj, key) {
+        if (typeof key === "symbol" || !Object.hasOwn(obj, key)) return Reflect.deleteProperty(obj, key)
+        delete obj[key]
+        store.trigger([joinPath(path, key), joinPath(path, KEYS)], `delete ${joinPath(path, key)}`)
+        return true
+      },
+
+      has(obj, key) {
+        if (typeof key !== "symbol") store.track(joinPath(path, key))
+        return Reflect.has(obj, key)
+      },
+
+      ownKeys(obj) {
+        store.track(joinPath(path, KEYS))
+        return Reflect.ownKeys(obj)
+      },
+    })
+
+    this.raws.set(proxy, target)
+    byPath.set(path, proxy)
+    return proxy
+  }
+
+  // Dependency tracking
+
+  track(path) {
+    const record = this.tracking.at(-1)
+    if (!record) return
+    record.deps.add(path)
+    if (!this.subscribers.has(path)) this.subscribers.set(path, new Set())
+    this.subscribers.get(path).add(record)
+  }
+
+  untrack(record) {
+    record.deps.forEach((path) => this.subscribers.get(path)?.delete(record))
+    record.deps.clear()
+  }
+
+  // Runs fn with record collecting what it reads, replacing the dependencies of its last run
+  collect(record, fn) {
+    this.untrack(record)
+    this.tracking.push(record)
+    try {
+      return fn()
+    } finally {
+      this.tracking.pop()
+    }
+  }
+
+  defineComputed(name, getter) {
+    const record = { kind: "computed", name, getter, deps: new Set(), dirty: true, value: undefined }
+    Object.defineProperty(this.computed, name, {
+      enumerable: true,
+      get: () => {
+        this.track(`computed.${name}`)
+        if (record.dirty) {
+          record.value = this.collect(record, () => getter(this.state, this.computed))
+          record.dirty = false
+        }
+        return record.value
+      },
+    })
+  }
+
+  // Calls callback(value, previous) whenever source's value changes. source is a path such as
+  // "order.quantity" or "computed.total", or a function (state, computed) => value. Values are
+  // compared with Object.is, so return primitives or new objects. Returns an unsubscribe function.
+  watch(source, callback, { immediate = false, name = callback.name || "watcher" } = {}) {
+    const getter = typeof source === "function" ? () => source(this.state, this.computed) : () => this.read(source)
+    const record = { kind: "watcher", getter, deps: new Set(), event: `watch:${++this.watcherCount}`, active: true }
+    record.value = this.collect(record, getter)
+
+    const off = this.events.on(record.event, ({ value, previous }) => callback(value, previous), { name })
+    if (immediate) this.events.emit(record.event, { value: record.value, previous: undefined })
+
+    return () => {
+      off()
+      record.active = false
+      this.untrack(record)
+    }
+  }
+
+  // A value by path; paths starting with "computed." read computed values
+  read(path) {
+    const [head, ...rest] = path.split(".")
+    return head === "computed" ? readPath(this.computed, rest.join(".")) : readPath(this.state, path)
+  }
+
+  // listener({ label, paths }) after every committed change, or listener({ index, label }) after
+  // time travel
+  on(event, listener) {
+    return this.events.on(event, listener)
+  }
+
+  // Updates
+
+  trigger(paths, label) {
+    paths.forEach((path) => this.pending.add(path))
+    if (this.batchDepth === 0) this.commit(label)
+  }
+
+  // Runs fn(state) with every write inside it committed together: computed values recompute and
+  // each watcher runs at most once, and the whole batch becomes one history entry
+  batch(fn, label = "batch") {
+    this.batchDepth++
+    try {
+      return fn(this.state)
+    } finally {
+      this.batchDepth--
+      if (this.batchDepth === 0) this.commit(label)
+    }
+  }
+
+  commit(label) {
+    // Writes made by watchers while a commit is propagating join that commit
+    if (this.propagating || this.pending.size === 0) return
+    const paths = this.propagate()
+    this.record(label, paths)
+    this.events.emit("commit", { label, paths })
+  }
+
+  // Marks computed values that depend on a written path dirty, then reruns affected watchers,
+  // until watchers stop writing. Returns every path written.
+  propagate() {
+    const written = new Set()
+    this.propagating = true
+    let rounds = 0
+    try {
+      while (this.pending.size > 0) {
+        if (++rounds > MAX_PROPAGATION_ROUNDS) {
+          const paths = [...this.pending].join(", ")
+          this.pending.clear()
+          throw new Error(
+            `Watchers were still writing after ${MAX_PROPAGATION_ROUNDS} rounds (${paths}) - ` +
+              "a watcher probably writes a value it depends on",
+          )
+        }
+        const queue = [...this.pending]
+        this.pending.clear()
+        queue.forEach((path) => written.add(path))
+
+        const watchers = new Set()
+        while (queue.length > 0) {
+          for (const record of this.subscribers.get(queue.shift()) ?? []) {
+            if (record.kind === "watcher") {
+              watchers.add(record)
+            } else if (!record.dirty) {
+              // Already-dirty values were never read since, so nothing downstream is waiting on them
+              record.dirty = true
+              queue.push(`computed.${record.name}`)
+            }
+          }
+        }
+        watchers.forEach((record) => this.rerun(record))
+      }
+    } finally {
+      this.propagating = false
+    }
+    return [...written]
+  }
+
+  rerun(record) {
+    if (!record.active) return
+    const previous = record.value
+    record.value = this.collect(record, record.getter)
+    if (!Object.is(record.value, previous)) {
+      this.events.emit(record.event, { value: record.value, previous })
+    }
+  }
+
+  // Time travel
+
+  record(label, paths) {
+    // A change after travelling back discards the undone future, as in an editor
+    this.history.splice(this.historyIndex + 1)
+    this.history.push({ label, paths, state: structuredClone(this.raw) })
+    if (this.history.length > this.historyLimit) this.history.shift()
+    this.historyIndex = this.history.length - 1
+  }
+
+  snapshot() {
+    return structuredClone(this.raw)
+  }
+
+  // Restores history entry `index`, rerunning only what differs from the current state
+  travel(index) {
+    const target = Math.max(0, Math.min(index, this.history.length - 1))
+    if (target === this.historyIndex) return false
+
+    const { state, label } = this.history[target]
+    const changed = diffPaths(this.raw, state)
+    // The root object keeps its identity so this.state stays valid
+    Object.keys(this.raw).forEach((key) => delete this.raw[key])
+    Object.assign(this.raw, structuredClone(state))
+    this.historyIndex = target
+
+    changed.forEach((path) => this.pending.add(path))
+    this.propagate()
+    this.events.emit("travel", { index: target, label })
+    return true
+  }
+
+  undo() {
+    return this.travel(this.historyIndex - 1)
+  }
+
+  redo() {
+    return this.travel(this.historyIndex + 1)
+  }
+
+  get canUndo() {
+    return this.historyIndex > 0
+  }
+
+  get canRedo() {
+    return this.historyIndex < this.history.length - 1
+  }
+}
+
+// Keeps target[property] equal to format(value) of a store value, where target is a DOM element
+// or any object. Only runs when that value changes. Returns an unsubscribe function.
+export const bind = (store, target, source, { property = "textContent", format = String } = {}) =>
+  store.watch(
+    source,
+    function render(value) {
+      target[property] = format(value)
+    },
+    { immediate: true },
+  )
@@ -0,0 +1,155 @@
+// Sandboxed Code Execution - every run gets a fresh Worker (browser) or worker thread + vm context (Node)
+const isNode = typeof process !== "undefined" && Boolean(process.versions?.node)
+const WORKER_URL = new URL("./sandboxWorker.js", import.meta.url)
+
+const UNSETTLED_AWAIT_EXIT_CODE = 13
+
+export const DEFAULT_LIMITS = {
+  timeout: 2000,
+  memoryMb: 64,
+  maxLogEntries: 1000,
+}
+
+// Only data crosses into the sandbox; methods and DOM references are dropped
+export const toTransferable = (value) => {
+  if (value === undefined || value === null) return null
+  try {
+    return structuredClone(value)
+  } catch {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "function" ? undefined : item)))
+  }
+}
+
+class SandboxRun {
+  constructor({ limits, onLog }) {
+    this.limits = limits
+    this.onLog = onLog
+    this.logs = []
+    this.started = performance.now()
+    // Sent to the worker only once the snippet has finished; see sandboxWorker.js
+    this.nonce = crypto.randomUUID()
+  }
+
+  // The worker's "finished" is answered with the nonce; its "done" must echo it back
+  receive(message, reply, settle) {
+    if (message.type === "log") this.log(message.entry)
+    if (message.type === "finished") reply({ nonce: this.nonce })
+    if (message.type === "done") {
+      const sealed = message.nonce === this.nonce
+      settle(sealed ? this.finish(message.outcome) : this.fail(null, "Sandbox sent a result without this run's nonce"))
+    }
+  }
+
+  log(entry) {
+    if (this.logs.length < this.limits.maxLogEntries) {
+      this.logs.push(entry)
+      this.onLog(entry)
+    } else if (this.logs.length === this.limits.maxLogEntries) {
+      const notice = { level: "warn", text: "Log limit reached - further output dropped", timestamp: Date.now() }
+      this.logs.push(notice)
+      this.onLog(notice)
+    }
+  }
+
+  finish(outcome) {
+    return { ...outcome, logs: this.logs, limit: null }
+  }
+
+  fail(limit, message) {
+    return {
+      logs: this.logs,
+      result: undefined,
+      error: { name: "SandboxError", message },
+      duration: performance.now() - this.started,
+      limit,
+    }
+  }
+}
+
+export class Sandbox {
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits }
+  }
+
+  // Resolves with { logs, result, error, duration, limit } - never rejects for user-code failures
+  run(code, { thisArg = null, timeout = this.limits.timeout, onLog = () => {} } = {}) {
+    const job = { code, thisArg: toTransferable(thisArg), timeout }
+    const run = new SandboxRun({ limits: this.limits, onLog })
+    return isNode ? this.runInWorkerThread(job, run) : this.runInWebWorker(job, run)
+  }
+
+  async runInWorkerThread(job, run) {
+    const { Worker } = await import("node:worker_threads")
+    const { memoryMb } = this.limits
+
+    return new Promise((resolve) => {
+      const worker = new Worker(WORKER_URL, {
+        workerData: job,
+        // sandboxRealm.js evaluates the snippet helpers as vm modules in the snippet's context
+        execArgv: ["--experimental-vm-modules", "--no-warnings"],
+        resourceLimits: {
+          maxOldGenerationSizeMb: memoryMb,
+          maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 4)),
+        },
+      })
+
+      const settle = (outcome) => {
+        clearTimeout(timer)
+        worker.removeAllListeners()
+        worker.terminate()
+        resolve(outcome)
+      }
+
+      const timer = setTimeout(
+        () => settle(run.fail("timeout", `Execution timed out after ${job.timeout}ms`)),
+        job.timeout,
+      )
+
+      worker.on("message", (message) => run.receive(message, (reply) => worker.postMessage(reply), settle))
+      worker.on("error", (error) => {
+        if (error.code === "ERR_WORKER_OUT_OF_MEMORY") {
+          settle(run.fail("memory", `Memory limit of ${memoryMb}MB exceeded`))
+        } else {
+          settle(run.fail(null, error.message))
+        }
+      })
+      worker.on("exit", (code) => {
+        // Node ends a thread whose top-level await can never settle with code 13 once nothing else is pending
+        if (code === UNSETTLED_AWAIT_EXIT_CODE) {
+          settle(run.fail("unsettled", "Snippet never settled: it awaited a promise that can never resolve"))
+        } else {
+          settle(run.fail(null, `Sandbox exited unexpectedly (code ${code})`))
+        }
+      })
+    })
+  }
+
+  // Browsers expose no per-worker heap limit, so memoryMb is not enforced here;
+  // the timeout and log cap are what keep a runaway snippet in check
+  runInWebWorker(job, run) {
+    return new Promise((resolve) => {
+      const worker = new Worker(WORKER_URL, { type: "module" })
+
+      const settle = (outcome) => {
+        clearTimeout(timer)
+        worker.terminate()
+        resolve(outcome)
+      }
+
+      const timer = setTimeout(
+        () => settle(run.fail("timeout", `Execution timed out after ${job.timeout}ms`)),
+        job.timeout,
+      )
+
+      worker.onmessage = ({ data }) => run.receive(data, (reply) => worker.postMessage(reply), settle)
+      worker.onerror = (event) => {
+        event.preventDefault?.()
+        settle(run.fail(null, event.message ?? "Sandbox worker failed"))
+      }
+
+      worker.postMessage(job)
+    })
+  }
+}
+
+export const createSandbox = (limits) => new Sandbox(limits)
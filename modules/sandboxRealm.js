@@ -0,0 +1,268 @@
+// Sandbox Realm (Node) - fills a vm context with everything a snippet may use, built inside that
+// context's own realm. A function or object from the worker's realm would hand the snippet that
+// realm's Function constructor (setTimeout.constructor("return process")()), and with it process,
+// fs and worker_threads; the context's own Function is disabled by codeGeneration: { strings: false }.
+// So the helper modules are evaluated in the context, and the few host capabilities (clock, timers,
+// log output) are reached only through closures that trade primitives.
+const MODULES_URL = new URL("./", import.meta.url)
+
+// Evaluated in the context as source text, so it must stay self-contained. `host` holds worker
+// functions; they are kept in this closure, never handed to snippet code, and anything they throw
+// is rethrown as an error from this realm.
+function realmRuntime(host) {
+  "use strict"
+  const { now, startTimer, stopTimer, log } = host
+
+  const call = (fn, ...args) => {
+    try {
+      return fn(...args)
+    } catch (error) {
+      throw new Error(String(error?.message ?? error))
+    }
+  }
+
+  class DOMException extends Error {
+    constructor(message = "", name = "Error") {
+      super(message)
+      this.name = name
+    }
+  }
+
+  class Event {
+    constructor(type) {
+      this.type = type
+      this.target = null
+    }
+  }
+
+  class EventTarget {
+    #listeners = new Map()
+
+    addEventListener(type, listener, options = {}) {
+      if (!listener) return
+      const listeners = this.#listeners.get(type) ?? []
+      if (listeners.some((entry) => entry.listener === listener)) return
+      this.#listeners.set(type, [...listeners, { listener, once: Boolean(options?.once) }])
+    }
+
+    removeEventListener(type, listener) {
+      const listeners = this.#listeners.get(type) ?? []
+      this.#listeners.set(type, listeners.filter((entry) => entry.listener !== listener))
+    }
+
+    dispatchEvent(event) {
+      event.target = this
+      for (const { listener, once } of this.#listeners.get(event.type) ?? []) {
+        if (once) this.removeEventListener(event.type, listener)
+        if (typeof listener === "function") listener.call(this, event)
+        else listener.handleEvent(event)
+      }
+      return true
+    }
+  }
+
+  const setTimeout = (callback, delay = 0, ...args) => {
+    if (typeof callback !== "function") throw new TypeError("The callback must be a function")
+    return call(startTimer, () => callback(...args), Number(delay) || 0, false)
+  }
+  const setInterval = (callback, delay = 0, ...args) => {
+    if (typeof callback !== "function") throw new TypeError("The callback must be a function")
+    return call(startTimer, () => callback(...args), Number(delay) || 0, true)
+  }
+  const clearTimer = (id) => {
+    if (typeof id === "number") call(stopTimer, id)
+  }
+
+  const abortSignal = (signal, reason) => {
+    if (signal.aborted) return
+    signal.aborted = true
+    signal.reason = reason
+    const event = new Event("abort")
+    signal.onabort?.(event)
+    signal.dispatchEvent(event)
+  }
+
+  class AbortSignal extends EventTarget {
+    aborted = false
+    reason = undefined
+    onabort = null
+
+    throwIfAborted() {
+      if (this.aborted) throw this.reason
+    }
+
+    static abort(reason = new DOMException("This operation was aborted", "AbortError")) {
+      const signal = new AbortSignal()
+      abortSignal(signal, reason)
+      return signal
+    }
+
+    static timeout(ms) {
+      const signal = new AbortSignal()
+      const reason = new DOMException("The operation was aborted due to timeout", "TimeoutError")
+      setTimeout(() => abortSignal(signal, reason), ms)
+      return signal
+    }
+
+    static any(signals) {
+      const signal = new AbortSignal()
+      for (const source of signals) {
+        if (source.aborted) {
+          abortSignal(signal, source.reason)
+          break
+        }
+        source.addEventListener("abort", () => abortSignal(signal, source.reason), { once: true })
+      }
+      return signal
+    }
+  }
+
+  class AbortController {
+    signal = new AbortSignal()
+
+    abort(reason = new DOMException("This operation was aborted", "AbortError")) {
+      abortSignal(this.signal, reason)
+    }
+  }
+
+  const tagOf = (value) => Object.prototype.toString.call(value).slice(8, -1)
+
+  // The structured clone algorithm for the types demos pass around. It also brings data in from
+  // the worker's realm (thisArg), since every copy it makes belongs to this one.
+  const structuredClone = (value, seen = new Map()) => {
+    if (typeof value === "function" || typeof value === "symbol") {
+      throw new DOMException(`${String(value)} could not be cloned.`, "DataCloneError")
+    }
+    if (typeof value !== "object" || value === null) return value
+    if (seen.has(value)) return seen.get(value)
+
+    const tag = tagOf(value)
+    const remember = (copy) => {
+      seen.set(value, copy)
+      return copy
+    }
+    if (tag === "Date") return remember(new Date(Date.prototype.getTime.call(value)))
+    if (tag === "RegExp") return remember(new RegExp(value.source, value.flags))
+    if (tag === "Map") {
+      const copy = remember(new Map())
+      Map.prototype.forEach.call(value, (item, key) => copy.set(structuredClone(key, seen), structuredClone(item, seen)))
+      return copy
+    }
+    if (tag === "Set") {
+      const copy = remember(new Set())
+      Set.prototype.forEach.call(value, (item) => copy.add(structuredClone(item, seen)))
+      return copy
+    }
+    if (tag === "ArrayBuffer") {
+      const bytes = new Uint8Array(value.byteLength)
+      bytes.set(new Uint8Array(value))
+      return remember(bytes.buffer)
+    }
+    if (ArrayBuffer.isView(value) && tag !== "DataView") return remember(new globalThis[tag](value))
+    if (value instanceof Error || tag === "Error") {
+      const copy = remember(new Error(String(value.message)))
+      copy.name = String(value.name)
+      return copy
+    }
+
+    const copy = remember(Array.isArray(value) ? new Array(value.length) : {})
+    for (const key of Object.keys(value)) copy[key] = structuredClone(value[key], seen)
+    return copy
+  }
+
+  return {
+    globals: {
+      setTimeout,
+      clearTimeout: clearTimer,
+      setInterval,
+      clearInterval: clearTimer,
+      queueMicrotask: (callback) => {
+        Promise.resolve().then(() => callback())
+      },
+      performance: { now: () => call(now) },
+      structuredClone: (value) => structuredClone(value),
+      DOMException,
+      Event,
+      EventTarget,
+      AbortController,
+      AbortSignal,
+    },
+    // Copies worker data into this realm
+    adopt: (value) => structuredClone(value),
+    log: (entry) => call(log, entry),
+  }
+}
+
+// Host side of the timers: the context only ever sees numeric ids
+const createTimers = () => {
+  const handles = new Map()
+  let nextId = 1
+  return {
+    startTimer: (callback, delay, repeat) => {
+      const id = nextId++
+      const run = () => {
+        if (!repeat) handles.delete(id)
+        callback()
+      }
+      handles.set(id, repeat ? setInterval(run, delay) : setTimeout(run, delay))
+      return id
+    },
+    stopTimer: (id) => {
+      clearTimeout(handles.get(id))
+      handles.delete(id)
+    },
+  }
+}
+
+// Loads repo modules and their imports into the context, one module instance per file
+const createLoader = async (vm, context, importModuleDynamically, importError) => {
+  const { readFile } = await import("node:fs/promises")
+  const cache = new Map()
+
+  const load = async (url) => {
+    if (!cache.has(url.href)) {
+      const source = await readFile(url, "utf8")
+      cache.set(url.href, new vm.SourceTextModule(source, { context, identifier: url.href, importModuleDynamically }))
+    }
+    return cache.get(url.href)
+  }
+
+  return async (file) => {
+    const module = await load(new URL(file, MODULES_URL))
+    await module.link((specifier, referencing) => {
+      // Only the repo's own modules - no node: builtins or packages
+      if (!specifier.startsWith("./")) throw importError()
+      return load(new URL(specifier, referencing.identifier))
+    })
+    await module.evaluate()
+    return module.namespace
+  }
+}
+
+// Makes a fresh context ready for a snippet: realm-local globals, the snippet helpers, a console
+// reporting to onLog, and thisArg copied in. Returns the options the snippet's vm.Script needs.
+export const prepareContext = async (vm, { thisArg, onLog }) => {
+  const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } })
+  const ContextError = vm.runInContext("Error", context)
+  const importError = () => new ContextError("Imports are not available in the sandbox")
+  const importModuleDynamically = () => {
+    throw importError()
+  }
+
+  const runtime = vm.runInContext(`(${realmRuntime})`, context)({
+    now: () => performance.now(),
+    ...createTimers(),
+    log: (entry) => onLog(structuredClone(entry)),
+  })
+  Object.assign(context, runtime.globals)
+
+  const load = await createLoader(vm, context, importModuleDynamically, importError)
+  const { createConsole } = await load("playground.js")
+  const { SNIPPET_GLOBALS } = await load("snippetGlobals.js")
+  Object.assign(context, SNIPPET_GLOBALS, {
+    console: createConsole(runtime.log),
+    thisArg: runtime.adopt(thisArg),
+  })
+
+  return { context, importModuleDynamically }
+}
@@ -0,0 +1,71 @@
+// Sandbox Worker Runtime - executes one snippet per worker and reports back to the host
+// Browser: module Worker, snippet compiled in the worker realm (no DOM, no page globals)
+// Node: worker_threads worker, snippet evaluated in a fresh vm context (no process, no require) whose
+// globals and helpers are all built in its own realm (see sandboxRealm.js). The worker thread is what
+// the host can limit and kill.
+import { runSnippet, wrapSnippet, describeError, SOURCE_URL } from "./playground.js"
+import { SNIPPET_GLOBALS } from "./snippetGlobals.js"
+
+const isNode = typeof process !== "undefined" && Boolean(process.versions?.node)
+
+// Results must survive structured cloning on the way back to the host
+const toCloneable = (value) => {
+  try {
+    return structuredClone(value)
+  } catch {
+    try {
+      return JSON.parse(JSON.stringify(value))
+    } catch {
+      return String(value)
+    }
+  }
+}
+
+const runInVmContext = async ({ code, thisArg, timeout }, onLog) => {
+  const vm = await import("node:vm")
+  const { prepareContext } = await import("./sandboxRealm.js")
+  const logs = []
+  const started = performance.now()
+
+  try {
+    const { context, importModuleDynamically } = await prepareContext(vm, {
+      thisArg,
+      onLog: (entry) => {
+        logs.push(entry)
+        onLog(entry)
+      },
+    })
+    // The snippet starts on the script's first line, so reported lines need no offset
+    const script = new vm.Script(`(async () => {${wrapSnippet(code)}\n})()`, {
+      filename: SOURCE_URL,
+      importModuleDynamically,
+    })
+    // vm's timeout stops synchronous loops; the host still terminates the worker for async ones
+    const result = await script.runInContext(context, { timeout, breakOnSigint: false })
+    return { logs, result, error: null, duration: performance.now() - started }
+  } catch (error) {
+    return { logs, result: undefined, error: describeError(error, 0), duration: performance.now() - started }
+  }
+}
+
+// The host answers "finished" with this run's nonce and only accepts a "done" message carrying it.
+// It's sent after the snippet has finished, so snippet code never sees it and can't post a result
+// of its own in place of the runtime's.
+if (isNode) {
+  const { parentPort, workerData } = await import("node:worker_threads")
+  const onLog = (entry) => parentPort.postMessage({ type: "log", entry })
+  const outcome = await runInVmContext(workerData, onLog)
+  parentPort.once("message", ({ nonce }) => {
+    parentPort.postMessage({ type: "done", nonce, outcome: { ...outcome, result: toCloneable(outcome.result) } })
+  })
+  parentPort.postMessage({ type: "finished" })
+} else {
+  self.onmessage = async ({ data }) => {
+    const onLog = (entry) => self.postMessage({ type: "log", entry })
+    const outcome = await runSnippet(data.code, { thisArg: data.thisArg, timeout: null, onLog, globals: SNIPPET_GLOBALS })
+    self.onmessage = ({ data: { nonce } }) => {
+      self.postMessage({ type: "done", nonce, outcome: { ...outcome, result: toCloneable(outcome.result) } })
+    }
+    self.postMessage({ type: "finished" })
+  }
+}
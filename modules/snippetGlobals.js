@@ -0,0 +1,55 @@
+// Snippet Globals - shared helpers that demo methods import, exposed by name to sandboxed snippets
+// so an edited method still finds them. Only functions that work without the DOM belong here.
+import { benchmark, benchmarkAll, compare, formatStats, formatComparison, formatTime, formatCount } from "./benchmark.js"
+import { createRandom } from "./random.js"
+import { VirtualClock, generateEvents, simulateTimeline, formatTimeline } from "./timeline.js"
+import { debounce, throttle } from "./timing.js"
+import { Lazy, AsyncLazy } from "./lazy.js"
+import { ObjectPool } from "./objectPool.js"
+import { RateLimiter, TaskPool, retry, sleep, withTimeout } from "./asyncUtils.js"
+import { describeMemorySource, formatBytes, measureRetained } from "./memoryProbe.js"
+import { memoize } from "./memoize.js"
+import { EventEmitter } from "./eventEmitter.js"
+import { ValidationError, createValidatedObject, formatAccessLog, subscribe, undo } from "./validatedObject.js"
+import { ReactiveStore, bind } from "./reactiveStore.js"
+import { UserRepository } from "./userRepository.js"
+import { createMemoryAdapter } from "./storage.js"
+
+export const SNIPPET_GLOBALS = {
+  benchmark,
+  benchmarkAll,
+  compare,
+  formatStats,
+  formatComparison,
+  formatTime,
+  formatCount,
+  createRandom,
+  generateEvents,
+  simulateTimeline,
+  formatTimeline,
+  VirtualClock,
+  debounce,
+  throttle,
+  Lazy,
+  AsyncLazy,
+  ObjectPool,
+  RateLimiter,
+  TaskPool,
+  retry,
+  sleep,
+  withTimeout,
+  describeMemorySource,
+  formatBytes,
+  measureRetained,
+  memoize,
+  EventEmitter,
+  ValidationError,
+  createValidatedObject,
+  formatAccessLog,
+  subscribe,
+  undo,
+  ReactiveStore,
+  bind,
+  UserRepository,
+  createMemoryAdapter,
+}
@@ -0,0 +1,28 @@
+// Source Extraction - read the code panel's text straight from the running functions
+
+// Function#toString keeps the original indentation of every line but the first.
+// The closing line tells us how deep the definition was nested, so strip that much.
+export const dedent = (source) => {
+  const lines = source.split("\n")
+  if (lines.length < 2) return source
+
+  const depth = lines.at(-1).match(/^[ \t]*/)[0].length
+  const pattern = new RegExp(`^[ \\t]{0,${depth}}`)
+
+  return [lines[0], ...lines.slice(1).map((line) => line.replace(pattern, ""))].join("\n")
+}
+
+export const getFunctionSource = (fn) => {
+  if (typeof fn !== "function") {
+    throw new TypeError("Can only extract source from a function")
+  }
+
+  const source = Function.prototype.toString.call(fn)
+
+  // Engines return "[native code]" for built-ins and bound functions
+  if (/\{\s*\[native code\]\s*\}$/.test(source)) {
+    return `// Source for ${fn.name || "anonymous function"} is not available`
+  }
+
+  return dedent(source)
+}
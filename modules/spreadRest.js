@@ -1,26 +1,25 @@
 // Advanced Spread & Rest Operator Demo
-export class SpreadRestDemo {
-  constructor() {
-    this.baseUser = { id: 1, name: "John", role: "user" }
-    this.permissions = ["read", "write"]
-    this.additionalData = { lastLogin: "2024-01-01", isActive: true }
-  }
-
-  async run() {
-    const examples = [
-      this.objectComposition(),
-      this.immutableUpdates(),
-      this.arrayMerging(),
-      this.functionArguments(),
-      this.conditionalSpreading(),
-    ]
-
-    const output = examples.join("\n\n")
+import { Demo } from "./demoBase.js"
+import { createSampleRepository } from "./userRepository.js"
+
+export class SpreadRestDemo extends Demo {
+  static examples = [
+    { id: "objectComposition", title: "Object Composition" },
+    { id: "immutableUpdates", title: "Immutable Updates" },
+    { id: "arrayMerging", title: "Array Merging & Deduplication" },
+    { id: "functionArguments", title: "Variadic Functions" },
+    { id: "conditionalSpreading", title: "Conditional Spreading" },
+  ]
 
-    return {
-      output,
-      code: this.getSourceCode(),
-    }
+  constructor() {
+    super()
+    // User data comes from the shared repository, as plain copies the examples can spread freely
+    const users = createSampleRepository()
+    const { id, name, role, permissions, lastLogin, active } = users.findByEmail("john@example.com")
+    this.baseUser = { id, name, role }
+    this.permissions = permissions
+    this.additionalData = { lastLogin, isActive: active }
+    this.users = users.query({ sort: "id" }).items.map(({ id, name, active }) => ({ id, name, active }))
   }
 
   // Advanced object composition
@@ -41,11 +40,7 @@ ${JSON.stringify(enhancedUser, null, 2)}`
 
   // Immutable updates with spread
   immutableUpdates() {
-    const users = [
-      { id: 1, name: "John", active: true },
-      { id: 2, name: "Jane", active: false },
-      { id: 3, name: "Bob", active: true },
-    ]
+    const { users } = this
 
     // Update user with id 2
     const updatedUsers = users.map((user) =>
@@ -139,39 +134,4 @@ Maximum: ${max}`
     return `🔧 Conditional Spreading:
 ${JSON.stringify(request, null, 2)}`
   }
-
-  getSourceCode() {
-    return `
-// Advanced Spread & Rest Patterns
-
-// 1. Object Composition
-const enhancedUser = {
-    ...baseUser,
-    ...additionalData,
-    permissions: [...permissions, 'admin']
-};
-
-// 2. Immutable Updates
-const updatedUsers = users.map(user => 
-    user.id === targetId 
-        ? { ...user, active: true, lastUpdated: Date.now() }
-        : user
-);
-
-// 3. Array Deduplication
-const uniqueItems = [...new Set([...array1, ...array2])];
-
-// 4. Variadic Functions
-const calculateStats = (operation, ...numbers) => {
-    return operations[operation]?.(numbers);
-};
-
-// 5. Conditional Spreading
-const config = {
-    ...baseConfig,
-    ...(isProduction && { timeout: 5000 }),
-    ...(hasAuth && { headers: { Authorization: token } })
-};
-        `
-  }
 }
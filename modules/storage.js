@@ -0,0 +1,55 @@
+// Storage Adapters - every adapter exposes async load() / save(data) over plain JSON data
+
+export const createMemoryAdapter = (initial = null) => {
+  let data = initial === null ? null : structuredClone(initial)
+  return {
+    kind: "memory",
+    async load() {
+      return data === null ? null : structuredClone(data)
+    },
+    async save(next) {
+      data = structuredClone(next)
+    },
+  }
+}
+
+export const createLocalStorageAdapter = (key, storage = globalThis.localStorage) => {
+  if (!storage) {
+    throw new Error("localStorage is not available in this environment")
+  }
+
+  return {
+    kind: "localStorage",
+    async load() {
+      const raw = storage.getItem(key)
+      return raw === null ? null : JSON.parse(raw)
+    },
+    async save(next) {
+      storage.setItem(key, JSON.stringify(next))
+    },
+  }
+}
+
+// Node only - fs is imported lazily so browsers never load it
+export const createJsonFileAdapter = (path) => ({
+  kind: "file",
+  path,
+  async load() {
+    const { readFile } = await import("node:fs/promises")
+    try {
+      return JSON.parse(await readFile(path, "utf8"))
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+  },
+  // Write to a temp file and rename so an interrupted save never leaves half a document
+  async save(next) {
+    const { writeFile, rename, mkdir } = await import("node:fs/promises")
+    const { dirname } = await import("node:path")
+    await mkdir(dirname(path), { recursive: true })
+    const temp = `${path}.${process.pid}.tmp`
+    await writeFile(temp, `${JSON.stringify(next, null, 2)}\n`)
+    await rename(temp, path)
+  },
+})
@@ -0,0 +1,156 @@
+// Store Dashboard - an order form bound to a ReactiveStore. Each output re-renders only when the
+// value it is bound to changes, and counts its renders to show it.
+import { ReactiveStore } from "./reactiveStore.js"
+
+const money = (amount) => `$${amount.toFixed(2)}`
+
+const FREE_SHIPPING_FROM = 100
+
+export const createOrderStore = () =>
+  new ReactiveStore({
+    state: {
+      customer: { name: "Ada" },
+      order: { price: 24.5, quantity: 2, code: "" },
+      shipping: { express: false },
+    },
+    computed: {
+      subtotal: ({ order }) => order.price * order.quantity,
+      discount: ({ order }, { subtotal }) => (order.code.trim().toUpperCase() === "ES6" ? subtotal * 0.1 : 0),
+      shippingCost: ({ shipping }, { subtotal, discount }) => {
+        if (subtotal - discount >= FREE_SHIPPING_FROM) return 0
+        return shipping.express ? 15 : 5
+      },
+      total: (state, { subtotal, discount, shippingCost }) => subtotal - discount + shippingCost,
+      greeting: ({ customer }) => `Thanks for your order, ${customer.name.trim() || "guest"}!`,
+    },
+  })
+
+// What each output element shows
+export const ORDER_OUTPUTS = [
+  { id: "greeting", label: "Message", source: "computed.greeting", format: String },
+  { id: "subtotal", label: "Subtotal", source: "computed.subtotal", format: money },
+  { id: "discount", label: "Discount", source: "computed.discount", format: (amount) => `-${money(amount)}` },
+  {
+    id: "shipping",
+    label: "Shipping",
+    source: "computed.shippingCost",
+    format: (amount) => (amount === 0 ? "free" : money(amount)),
+  },
+  { id: "total", label: "Total", source: "computed.total", format: money },
+]
+
+// One update touching every field, to show a batch renders each output at most once
+const BULK_ORDER = { price: 12, quantity: 10, code: "ES6", express: true }
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  keys.reduce((parent, key) => parent[key], object)[last] = value
+}
+
+const readInput = (input) => {
+  if (input.type === "checkbox") return input.checked
+  if (input.type === "number") return Number(input.value)
+  return input.value
+}
+
+export class StoreDashboard {
+  constructor({ store = createOrderStore() } = {}) {
+    const byId = (id) => document.getElementById(id)
+    this.outputs = byId("store-outputs")
+    this.controls = byId("store-controls")
+    this.historySlider = byId("store-history")
+    this.historyLabel = byId("store-history-label")
+    this.undoButton = byId("store-undo")
+    this.redoButton = byId("store-redo")
+    if (!this.outputs || !this.controls) return
+
+    this.store = store
+    this.renderOutputs()
+    this.bindControls()
+
+    byId("store-bulk")?.addEventListener("click", () => this.applyBulkOrder())
+    this.undoButton?.addEventListener("click", () => this.store.undo())
+    this.redoButton?.addEventListener("click", () => this.store.redo())
+    this.historySlider?.addEventListener("input", () => this.store.travel(Number(this.historySlider.value)))
+    this.store.on("commit", () => this.updateHistory())
+    this.store.on("travel", () => this.updateHistory())
+    this.updateHistory()
+  }
+
+  // Builds the output list once; from then on each value is written by its own watcher
+  renderOutputs() {
+    this.outputs.innerHTML = ORDER_OUTPUTS.map(
+      ({ id, label }) => `
+        <div class="store-output" data-output="${id}">
+          <dt>${label}</dt>
+          <dd><span class="store-value"></span> <span class="store-renders"></span></dd>
+        </div>`,
+    ).join("")
+
+    ORDER_OUTPUTS.forEach(({ id, source, format }) => {
+      const element = this.outputs.querySelector(`[data-output="${id}"]`)
+      const value = element.querySelector(".store-value")
+      const renders = element.querySelector(".store-renders")
+      let count = 0
+
+      this.store.watch(
+        source,
+        function render(next) {
+          value.textContent = format(next)
+          renders.textContent = `${++count} ${count === 1 ? "render" : "renders"}`
+          // Restart the flash animation for every render
+          element.classList.remove("rendered")
+          void element.offsetWidth
+          element.classList.add("rendered")
+        },
+        { immediate: true, name: `render ${id}` },
+      )
+    })
+  }
+
+  // Inputs write to the store, and follow it back when undo or time travel changes their field
+  bindControls() {
+    this.controls.querySelectorAll("[data-field]").forEach((input) => {
+      const { field } = input.dataset
+      const property = input.type === "checkbox" ? "checked" : "value"
+
+      this.store.watch(
+        field,
+        (value) => {
+          // Leave the field being typed in alone, so "24." isn't rewritten to "24" mid-edit
+          if (document.activeElement !== input) input[property] = value
+        },
+        { immediate: true, name: `input ${field}` },
+      )
+
+      input.addEventListener("input", () => {
+        if (input.type === "number" && (input.value === "" || !input.checkValidity())) return
+        setPath(this.store.state, field, readInput(input))
+      })
+    })
+  }
+
+  applyBulkOrder() {
+    const { price, quantity, code, express } = BULK_ORDER
+    this.store.batch(({ order, shipping }) => {
+      order.price = price
+      order.quantity = quantity
+      order.code = code
+      shipping.express = express
+    }, "bulk order")
+  }
+
+  updateHistory() {
+    const { history, historyIndex, canUndo, canRedo } = this.store
+    if (this.historySlider) {
+      this.historySlider.max = history.length - 1
+      this.historySlider.value = historyIndex
+    }
+    if (this.historyLabel) {
+      this.historyLabel.textContent = `${historyIndex + 1}/${history.length}: ${history[historyIndex].label}`
+    }
+    if (this.undoButton) this.undoButton.disabled = !canUndo
+    if (this.redoButton) this.redoButton.disabled = !canRedo
+  }
+}
@@ -0,0 +1,278 @@
+// SVG Charts - dependency-free bar and line charts returned as standalone SVG strings.
+// Tooltips are native <title> elements, so the same markup works inline in the page and as an
+// exported .svg file opened on its own.
+
+const PALETTE = ["#667eea", "#ed8936", "#38a169", "#e53e3e", "#805ad5", "#319795"]
+const FONT = `font-family="system-ui, sans-serif" fill="#4a5568"`
+const LABEL = `${FONT} font-size="12"`
+const TICK = `${FONT} font-size="10"`
+
+const escapeXml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+const round = (value) => Math.round(value * 10) / 10
+
+const svgDocument = (width, height, title, body) => `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}">
+<rect width="${width}" height="${height}" fill="#ffffff"/>
+<text x="${width / 2}" y="20" text-anchor="middle" ${FONT} font-size="14" font-weight="600">${escapeXml(title)}</text>
+${body}
+</svg>`
+
+// Values spanning two or more orders of magnitude are unreadable on a linear axis
+const shouldUseLog = (values) => {
+  const positive = values.filter((value) => value > 0)
+  return positive.length > 1 && Math.max(...positive) / Math.min(...positive) >= 100
+}
+
+// Decades covering [min, max]; a value sitting right on the first decade gets one more below it
+// so its bar or point doesn't vanish into the axis
+const logTicks = (min, max) => {
+  const ticks = []
+  const first = Math.floor(Math.log10(min)) - (min / 10 ** Math.floor(Math.log10(min)) < 2 ? 1 : 0)
+  for (let exponent = first; exponent <= Math.ceil(Math.log10(max)); exponent++) {
+    ticks.push(10 ** exponent)
+  }
+  return ticks
+}
+
+// Round step sizes (1, 2 or 5 x 10^n) giving about five ticks from zero
+const linearTicks = (max) => {
+  if (max <= 0) return [0, 1]
+  const rough = max / 5
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const step = [1, 2, 5, 10].map((factor) => factor * magnitude).find((candidate) => candidate >= rough)
+  return Array.from({ length: Math.ceil(max / step) + 1 }, (_, i) => i * step)
+}
+
+// Maps a value in [ticks[0], ticks.at(-1)] onto [start, end] pixels
+const createScale = (ticks, [start, end], log) => {
+  const transform = log ? Math.log10 : (value) => value
+  const low = transform(ticks[0])
+  const high = transform(ticks.at(-1))
+  return (value) => {
+    const clamped = Math.min(Math.max(value, ticks[0]), ticks.at(-1))
+    return start + ((transform(clamped) - low) / (high - low || 1)) * (end - start)
+  }
+}
+
+const axisTicks = (values, log) => {
+  if (log) {
+    const positive = values.filter((value) => value > 0)
+    return logTicks(Math.min(...positive), Math.max(...positive))
+  }
+  return linearTicks(Math.max(...values))
+}
+
+// bars: [{ label, value, error?, tooltip? }] where error is the +/- margin drawn as a whisker
+export const barChart = ({ title, bars, format = String, scale = "auto", width = 520 }) => {
+  const rowHeight = 30
+  const margin = { top: 36, right: 100, bottom: 30, left: 120 }
+  const height = margin.top + bars.length * rowHeight + margin.bottom
+  const extents = bars.flatMap(({ value, error = 0 }) => [value, value + error, value - error])
+  const log = scale === "log" || (scale === "auto" && shouldUseLog(extents))
+  const ticks = axisTicks(extents, log)
+  const x = createScale(ticks, [margin.left, width - margin.right], log)
+  const axisY = height - margin.bottom
+
+  const grid = ticks
+    .map((tick) => {
+      const position = round(x(tick))
+      return `<line x1="${position}" y1="${margin.top - 6}" x2="${position}" y2="${axisY}" stroke="#e2e8f0"/>
+<text x="${position}" y="${axisY + 16}" text-anchor="middle" ${TICK}>${escapeXml(format(tick))}</text>`
+    })
+    .join("\n")
+
+  const rows = bars
+    .map(({ label, value, error = 0, tooltip = `${label}: ${format(value)}` }, i) => {
+      const top = margin.top + i * rowHeight
+      const middle = top + rowHeight / 2 - 3
+      const start = x(ticks[0])
+      const end = x(value)
+      const whisker = error
+        ? `<g stroke="#2d3748" stroke-width="1.5">
+<line x1="${round(x(value - error))}" y1="${middle}" x2="${round(x(value + error))}" y2="${middle}"/>
+<line x1="${round(x(value - error))}" y1="${middle - 5}" x2="${round(x(value - error))}" y2="${middle + 5}"/>
+<line x1="${round(x(value + error))}" y1="${middle - 5}" x2="${round(x(value + error))}" y2="${middle + 5}"/>
+</g>`
+        : ""
+
+      return `<g><title>${escapeXml(tooltip)}</title>
+<text x="${margin.left - 8}" y="${middle + 4}" text-anchor="end" ${LABEL}>${escapeXml(label)}</text>
+<rect x="${round(start)}" y="${top + 4}" width="${round(Math.max(end - start, 1))}" height="${rowHeight - 14}" rx="3" fill="${PALETTE[i % PALETTE.length]}"/>
+${whisker}
+<text x="${round(Math.max(end, x(value + error))) + 6}" y="${middle + 4}" ${LABEL}>${escapeXml(format(value))}</text>
+</g>`
+    })
+    .join("\n")
+
+  const axisLabel = log ? "log scale" : ""
+  return svgDocument(
+    width,
+    height,
+    title,
+    `${grid}\n${rows}\n<text x="${width - 8}" y="${height - 4}" text-anchor="end" ${TICK}>${axisLabel}</text>`,
+  )
+}
+
+// series: [{ name, points: [{ x, y, low?, high?, tooltip? }] }]; low/high draw a vertical error bar
+export const lineChart = ({
+  title,
+  series,
+  xLabel = "",
+  yLabel = "",
+  formatX = String,
+  formatY = String,
+  logX = "auto",
+  logY = "auto",
+  width = 560,
+  height = 340,
+}) => {
+  const margin = { top: 36, right: 130, bottom: 48, left: 72 }
+  const points = series.flatMap((entry) => entry.points)
+  const xs = points.map((point) => point.x)
+  const ys = points.flatMap(({ y, low = y, high = y }) => [y, low, high])
+  const useLogX = logX === true || (logX === "auto" && shouldUseLog(xs))
+  const useLogY = logY === true || (logY === "auto" && shouldUseLog(ys))
+  const xTicks = useLogX ? axisTicks(xs, true) : [...new Set(xs)].sort((a, b) => a - b)
+  const yTicks = axisTicks(ys, useLogY)
+  const x = createScale(xTicks, [margin.left, width - margin.right], useLogX)
+  const y = createScale(yTicks, [height - margin.bottom, margin.top], useLogY)
+  const plotBottom = height - margin.bottom
+
+  const xAxis = xTicks
+    .map(
+      (tick) => `<line x1="${round(x(tick))}" y1="${margin.top}" x2="${round(x(tick))}" y2="${plotBottom}" stroke="#edf2f7"/>
+<text x="${round(x(tick))}" y="${plotBottom + 16}" text-anchor="middle" ${TICK}>${escapeXml(formatX(tick))}</text>`,
+    )
+    .join("\n")
+
+  const yAxis = yTicks
+    .map(
+      (tick) => `<line x1="${margin.left}" y1="${round(y(tick))}" x2="${width - margin.right}" y2="${round(y(tick))}" stroke="#edf2f7"/>
+<text x="${margin.left - 6}" y="${round(y(tick)) + 3}" text-anchor="end" ${TICK}>${escapeXml(formatY(tick))}</text>`,
+    )
+    .join("\n")
+
+  const lines = series
+    .map(({ name, points: seriesPoints }, i) => {
+      const color = PALETTE[i % PALETTE.length]
+      const path = seriesPoints.map((point) => `${round(x(point.x))},${round(y(point.y))}`).join(" ")
+      const markers = seriesPoints
+        .map(({ x: px, y: py, low, high, tooltip = `${name} @ ${formatX(px)}: ${formatY(py)}` }) => {
+          const errorBar =
+            low !== undefined && high !== undefined
+              ? `<line x1="${round(x(px))}" y1="${round(y(low))}" x2="${round(x(px))}" y2="${round(y(high))}" stroke="${color}" stroke-width="1.5"/>`
+              : ""
+          return `<g><title>${escapeXml(tooltip)}</title>${errorBar}<circle cx="${round(x(px))}" cy="${round(y(py))}" r="4" fill="${color}"/></g>`
+        })
+        .join("\n")
+      const legendY = margin.top + i * 18
+      const legend = `<rect x="${width - margin.right + 14}" y="${legendY}" width="12" height="12" rx="2" fill="${color}"/>
+<text x="${width - margin.right + 32}" y="${legendY + 10}" ${LABEL}>${escapeXml(name)}</text>`
+
+      return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>\n${markers}\n${legend}`
+    })
+    .join("\n")
+
+  const labels = `<text x="${(margin.left + width - margin.right) / 2}" y="${height - 10}" text-anchor="middle" ${LABEL}>${escapeXml(xLabel)}${useLogX ? " (log)" : ""}</text>
+<text transform="translate(16 ${(margin.top + plotBottom) / 2}) rotate(-90)" text-anchor="middle" ${LABEL}>${escapeXml(yLabel)}${useLogY ? " (log)" : ""}</text>`
+
+  return svgDocument(width, height, title, `${xAxis}\n${yAxis}\n${lines}\n${labels}`)
+}
+
+// lanes: [{ name, marks: [time] }] on a shared time axis. With a cursor, only marks up to that
+// time are drawn, which is how the timeline steps through a replay.
+export const timelineChart = ({ title, lanes, duration, cursor = duration, format = (t) => `${t}ms`, width = 640 }) => {
+  const laneHeight = 34
+  const margin = { top: 36, right: 56, bottom: 30, left: 150 }
+  const height = margin.top + lanes.length * laneHeight + margin.bottom
+  const ticks = linearTicks(duration)
+  const x = createScale(ticks, [margin.left, width - margin.right], false)
+  const axisY = height - margin.bottom
+
+  const grid = ticks
+    .map((tick) => {
+      const position = round(x(tick))
+      return `<line x1="${position}" y1="${margin.top - 6}" x2="${position}" y2="${axisY}" stroke="#edf2f7"/>
+<text x="${position}" y="${axisY + 16}" text-anchor="middle" ${TICK}>${escapeXml(format(tick))}</text>`
+    })
+    .join("\n")
+
+  const rows = lanes
+    .map(({ name, marks }, i) => {
+      const color = PALETTE[i % PALETTE.length]
+      const top = margin.top + i * laneHeight
+      const visible = marks.filter((time) => time <= cursor)
+      const ticksMarkup = visible
+        .map(
+          (time) =>
+            `<line x1="${round(x(time))}" y1="${top + 6}" x2="${round(x(time))}" y2="${top + laneHeight - 8}" stroke="${color}" stroke-width="2"><title>${escapeXml(`${name} @ ${format(time)}`)}</title></line>`,
+        )
+        .join("\n")
+
+      return `<text x="${margin.left - 8}" y="${top + laneHeight / 2 + 2}" text-anchor="end" ${LABEL}>${escapeXml(name)}</text>
+<line x1="${margin.left}" y1="${top + laneHeight - 8}" x2="${width - margin.right}" y2="${top + laneHeight - 8}" stroke="#cbd5e0"/>
+${ticksMarkup}
+<text x="${width - margin.right + 8}" y="${top + laneHeight / 2 + 2}" ${LABEL}>${visible.length}</text>`
+    })
+    .join("\n")
+
+  const cursorLine =
+    cursor < duration
+      ? `<line x1="${round(x(cursor))}" y1="${margin.top - 6}" x2="${round(x(cursor))}" y2="${axisY}" stroke="#e53e3e" stroke-dasharray="4 3"/>`
+      : ""
+
+  return svgDocument(width, height, title, `${grid}\n${rows}\n${cursorLine}`)
+}
+
+const FLOW_STATUS = {
+  ok: { fill: "#38a169", stroke: "#38a169", label: "ran" },
+  error: { fill: "#e53e3e", stroke: "#e53e3e", label: "threw" },
+  skipped: { fill: "#ffffff", stroke: "#a0aec0", label: "skipped" },
+}
+
+// An event-flow grid: one column per emitted event in order, one row per listener, and a dot
+// where that listener ran (green), threw (red) or was skipped (hollow).
+// steps: [{ label }]; lanes: [{ name, cells: [{ status, tooltip? } | null] }], a cell per step
+export const flowChart = ({ title, steps, lanes }) => {
+  const column = 64
+  const rowHeight = 28
+  const margin = { top: 110, right: 90, bottom: 30, left: 170 }
+  const width = margin.left + steps.length * column + margin.right
+  const height = margin.top + lanes.length * rowHeight + margin.bottom
+  const x = (step) => margin.left + step * column + column / 2
+  const y = (lane) => margin.top + lane * rowHeight + rowHeight / 2
+
+  // Event names sit above their column, slanted so long names don't collide
+  const header = steps
+    .map(
+      ({ label }, step) => `<line x1="${x(step)}" y1="${margin.top - 6}" x2="${x(step)}" y2="${height - margin.bottom}" stroke="#edf2f7"/>
+<text transform="translate(${x(step)} ${margin.top - 12}) rotate(-40)" ${LABEL}>${escapeXml(label)}</text>`,
+    )
+    .join("\n")
+
+  const rows = lanes
+    .map(({ name, cells }, lane) => {
+      const dots = cells
+        .map((cell, step) => {
+          if (!cell) return ""
+          const { fill, stroke, label } = FLOW_STATUS[cell.status]
+          const tooltip = cell.tooltip ?? `${name} ${label} on ${steps[step].label}`
+          return `<circle cx="${x(step)}" cy="${y(lane)}" r="7" fill="${fill}" stroke="${stroke}" stroke-width="2"><title>${escapeXml(tooltip)}</title></circle>`
+        })
+        .join("\n")
+      return `<line x1="${margin.left}" y1="${y(lane)}" x2="${width - margin.right}" y2="${y(lane)}" stroke="#e2e8f0"/>
+<text x="${margin.left - 10}" y="${y(lane) + 4}" text-anchor="end" ${LABEL}>${escapeXml(name)}</text>
+${dots}`
+    })
+    .join("\n")
+
+  const legend = Object.values(FLOW_STATUS)
+    .map(
+      ({ fill, stroke, label }, i) => `<circle cx="${margin.left + i * 80}" cy="${height - 12}" r="5" fill="${fill}" stroke="${stroke}" stroke-width="2"/>
+<text x="${margin.left + i * 80 + 10}" y="${height - 8}" ${TICK}>${label}</text>`,
+    )
+    .join("\n")
+
+  return svgDocument(width, height, title, `${header}\n${rows}\n${legend}`)
+}
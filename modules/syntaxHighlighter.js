@@ -0,0 +1,194 @@
+// JavaScript Syntax Highlighter - single-pass tokenizer emitting escaped HTML
+
+const KEYWORDS = new Set([
+  "async",
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "export",
+  "extends",
+  "finally",
+  "for",
+  "from",
+  "function",
+  "get",
+  "if",
+  "import",
+  "in",
+  "instanceof",
+  "let",
+  "new",
+  "of",
+  "return",
+  "set",
+  "static",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+  "yield",
+])
+
+const LITERALS = new Set(["true", "false", "null", "undefined", "NaN", "Infinity"])
+
+// Keywords after which a "/" starts a regex literal rather than a division
+const REGEX_AFTER_KEYWORDS = new Set([
+  "return",
+  "typeof",
+  "case",
+  "do",
+  "else",
+  "in",
+  "of",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "yield",
+  "await",
+])
+
+const PATTERNS = {
+  whitespace: /^\s+/,
+  lineComment: /^\/\/[^\n]*/,
+  blockComment: /^\/\*[\s\S]*?(?:\*\/|$)/,
+  number: /^(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/,
+  identifier: /^[A-Za-z_$\u00C0-\uFFFF][\w$\u00C0-\uFFFF]*/,
+  string: /^(["'])(?:\\[\s\S]|(?!\1)[^\\\n])*\1?/,
+  regex: /^\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuvy]*/,
+  operator: /^(?:\+\+|--|=>|\.\.\.|\?\?=?|\?\.|[=!]==?|[<>]=?|&&=?|\|\|=?|\*\*=?|<<=?|>>>?=?|[-+*/%&|^~!?:]=?|=)/,
+  punctuation: /^[()[\]{};,.]/,
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+// Reads template literal text up to the closing backtick or the next "${"
+const readTemplateChunk = (code, start) => {
+  let i = start
+  while (i < code.length) {
+    if (code[i] === "\\") {
+      i += 2
+    } else if (code[i] === "`") {
+      return { value: code.slice(start, i + 1), opensExpression: false }
+    } else if (code.startsWith("${", i)) {
+      return { value: code.slice(start, i), opensExpression: true }
+    } else {
+      i++
+    }
+  }
+  return { value: code.slice(start), opensExpression: false }
+}
+
+const regexAllowedAfter = (token) => {
+  if (!token) return true
+  if (token.type === "keyword") return REGEX_AFTER_KEYWORDS.has(token.value)
+  // A "/" after "++" or "--" can only divide (a++ / 2); no operand may follow them as a regex
+  if (token.type === "operator") return token.value !== "++" && token.value !== "--"
+  if (token.type === "template-punctuation") return token.value === "${"
+  if (token.type === "punctuation") return !/^[)\]}]$/.test(token.value)
+  return false
+}
+
+export const tokenize = (code) => {
+  const tokens = []
+  // Tracks "{" nesting so the "}" closing a "${" hands control back to the template
+  const braces = []
+  let previous = null
+  let i = 0
+
+  const push = (type, value) => {
+    const token = { type, value }
+    tokens.push(token)
+    if (type !== "whitespace" && type !== "comment") previous = token
+    i += value.length
+  }
+
+  const continueTemplate = () => {
+    const chunk = readTemplateChunk(code, i)
+    if (chunk.value) push("template", chunk.value)
+    if (chunk.opensExpression) {
+      braces.push("template")
+      push("template-punctuation", "${")
+    }
+  }
+
+  while (i < code.length) {
+    const rest = code.slice(i)
+    const char = code[i]
+    let match
+
+    if ((match = rest.match(PATTERNS.whitespace))) {
+      push("whitespace", match[0])
+    } else if ((match = rest.match(PATTERNS.lineComment) ?? rest.match(PATTERNS.blockComment))) {
+      push("comment", match[0])
+    } else if (char === "`") {
+      push("template", "`")
+      continueTemplate()
+    } else if (char === "}" && braces.at(-1) === "template") {
+      braces.pop()
+      push("template-punctuation", "}")
+      continueTemplate()
+    } else if ((match = rest.match(PATTERNS.string))) {
+      push("string", match[0])
+    } else if (char === "/" && regexAllowedAfter(previous) && (match = rest.match(PATTERNS.regex))) {
+      push("regex", match[0])
+    } else if ((match = rest.match(PATTERNS.number))) {
+      push("number", match[0])
+    } else if ((match = rest.match(PATTERNS.identifier))) {
+      const word = match[0]
+      const afterDot = previous?.value === "." || previous?.value === "?."
+      const isCall = /^\s*\(/.test(code.slice(i + word.length))
+
+      if (!afterDot && KEYWORDS.has(word)) push("keyword", word)
+      else if (!afterDot && LITERALS.has(word)) push("literal", word)
+      else if (isCall) push("function", word)
+      else if (afterDot) push("property", word)
+      else push("identifier", word)
+    } else if ((match = rest.match(PATTERNS.operator))) {
+      push("operator", match[0])
+    } else if ((match = rest.match(PATTERNS.punctuation))) {
+      if (char === "{") braces.push("brace")
+      if (char === "}") braces.pop()
+      push("punctuation", match[0])
+    } else {
+      push("plain", char)
+    }
+  }
+
+  return tokens
+}
+
+// Highlighted HTML split into lines; tokens spanning lines are re-opened on each line
+export const highlightLines = (code) => {
+  const lines = [""]
+
+  tokenize(code).forEach(({ type, value }) => {
+    value.split("\n").forEach((part, index) => {
+      if (index > 0) lines.push("")
+      if (!part) return
+      const html = escapeHtml(part)
+      const plain = type === "whitespace" || type === "plain"
+      lines[lines.length - 1] += plain ? html : `<span class="tok-${type}">${html}</span>`
+    })
+  })
+
+  return lines
+}
+
+export const highlight = (code) => highlightLines(code).join("\n")
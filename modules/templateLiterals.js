@@ -1,6 +1,17 @@
 // Advanced Template Literal Patterns Demo
-export class TemplateLiteralDemo {
+import { Demo } from "./demoBase.js"
+
+export class TemplateLiteralDemo extends Demo {
+  static examples = [
+    { id: "basicTemplating", title: "Basic Templates with Expressions" },
+    { id: "taggedTemplates", title: "Tagged Template Literals" },
+    { id: "multilineTemplates", title: "Multiline Templates" },
+    { id: "conditionalTemplating", title: "Conditional Templates" },
+    { id: "templateFunctions", title: "Template Factory Functions" },
+  ]
+
   constructor() {
+    super()
     this.userData = {
       name: "John Doe",
       role: "Senior Developer",
@@ -13,29 +24,14 @@ export class TemplateLiteralDemo {
     }
   }
 
-  async run() {
-    const examples = [
-      this.basicTemplating(),
-      this.taggedTemplates(),
-      this.multilineTemplates(),
-      this.conditionalTemplating(),
-      this.templateFunctions(),
-    ]
-
-    const output = examples.join("\n\n")
-
-    return {
-      output,
-      code: this.getSourceCode(),
-    }
-  }
-
+  // Renders into the dashboard when a DOM exists, otherwise just returns the preview
   updatePreview(name) {
-    const output = document.getElementById("template-literals-output")
+    const preview = this.generatePersonalizedTemplate(name)
+    const output = typeof document !== "undefined" ? document.getElementById("template-literals-output") : null
     if (output) {
-      const preview = this.generatePersonalizedTemplate(name)
       output.innerHTML = preview
     }
+    return preview
   }
 
   // Basic template literal with expressions
@@ -191,49 +187,4 @@ ${name.split(" ").length > 1 ? `I see you have ${name.split(" ").length} names.`
 Generated at: ${new Date().toLocaleTimeString()}
         `.trim()
   }
-
-  getSourceCode() {
-    return `
-// Advanced Template Literal Patterns
-
-// 1. Basic Templates with Expressions
-const profile = \`
-Name: \${name}
-Experience: \${experience} year\${experience !== 1 ? 's' : ''}
-Senior: \${experience >= 5 ? '✅ Yes' : '❌ No'}
-\`;
-
-// 2. Tagged Template Literals
-const highlight = (strings, ...values) => {
-    return strings.reduce((result, string, i) => {
-        const value = values[i] ? \`<mark>\${values[i]}</mark>\` : '';
-        return result + string + value;
-    }, '');
-};
-
-const highlighted = highlight\`User \${name} has \${role} role\`;
-
-// 3. SQL Query Builder
-const query = (strings, ...values) => {
-    const sanitized = values.map(v => 
-        typeof v === 'string' ? \`'\${v.replace(/'/g, "''")}'\` : v
-    );
-    return strings.reduce((result, string, i) => 
-        result + string + (sanitized[i] || ''), ''
-    );
-};
-
-// 4. Conditional Templates
-const status = \`
-\${name} is \${experience >= 5 ? 'Senior' : 'Junior'}
-\${skills.length > 3 ? '🌟 Highly skilled' : '📚 Growing'}
-\${completedProjects > 0 ? \`✅ \${completedProjects} completed\` : ''}
-\`;
-
-// 5. Template Factory Functions
-const createTemplate = (type) => (name, data) => \`
-Template for \${name}: \${data}
-\`;
-        `
-  }
 }
@@ -0,0 +1,29 @@
+// Text Charts - horizontal bar charts made of block characters, for terminals and <pre> output
+const BLOCKS = ["", "▏", "▎", "▍", "▌", "▋", "▊", "▉"]
+
+const bar = (fraction, width) => {
+  const eighths = Math.round(Math.max(0, Math.min(1, fraction)) * width * 8)
+  return "█".repeat(Math.floor(eighths / 8)) + BLOCKS[eighths % 8]
+}
+
+// Log scale keeps nanoseconds and milliseconds readable on one chart; the smallest value
+// still gets a sliver of bar so it stays visible
+const logFraction = (value, low, high) => {
+  if (high === low) return 1
+  return ((Math.log10(value) - Math.log10(low)) / (Math.log10(high) - Math.log10(low))) * 0.95 + 0.05
+}
+
+// rows: [{ label, value, display? }]; pass min/max to share one scale across several charts
+export const barChart = (rows, { width = 30, log = false, min, max } = {}) => {
+  const values = rows.map(({ value }) => value)
+  const low = min ?? Math.min(...values)
+  const high = max ?? Math.max(...values)
+  const labelWidth = Math.max(0, ...rows.map(({ label }) => label.length))
+
+  return rows
+    .map(({ label, value, display = String(value) }) => {
+      const fraction = log ? logFraction(value, low, high) : value / high
+      return `${label.padEnd(labelWidth)} ${bar(fraction, width).padEnd(width)} ${display}`
+    })
+    .join("\n")
+}
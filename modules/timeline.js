@@ -0,0 +1,140 @@
+// Debounce vs Throttle Timeline - replays input events on a virtual clock and records when the
+// raw handler, the debounced wrapper and the throttled wrapper actually fire
+import { createRandom } from "./random.js"
+import { debounce, throttle } from "./timing.js"
+
+// Timers that only move when told to, so a two-second burst replays instantly and identically.
+// It has the scheduler shape timing.js expects: setTimeout, clearTimeout and now.
+export class VirtualClock {
+  constructor() {
+    this.time = 0
+    this.timers = new Map()
+    this.nextId = 1
+  }
+
+  now() {
+    return this.time
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++
+    this.timers.set(id, { callback, due: this.time + Math.max(0, delay), id })
+    return id
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id)
+  }
+
+  // Run every timer due up to `time` in due order (ties by creation), including ones they schedule
+  advanceTo(time) {
+    for (;;) {
+      const next = [...this.timers.values()]
+        .filter(({ due }) => due <= time)
+        .sort((a, b) => a.due - b.due || a.id - b.id)[0]
+      if (!next) break
+      this.timers.delete(next.id)
+      this.time = next.due
+      next.callback()
+    }
+    this.time = Math.max(this.time, time)
+  }
+}
+
+// Event time generators; each returns ascending timestamps in ms within `duration`
+export const EVENT_PATTERNS = {
+  // Three scripted bursts of ten calls, 20ms apart - identical on every run
+  burst: ({ duration }) =>
+    [0, 700, 1400]
+      .flatMap((start) => Array.from({ length: 10 }, (_, i) => start + i * 20))
+      .filter((time) => time < duration),
+
+  // Key presses 60-220ms apart with the occasional pause to think
+  typing: ({ duration, random }) => {
+    const times = []
+    for (let time = 0; time < duration; ) {
+      times.push(Math.round(time))
+      time += random.chance(0.15) ? 400 + random.next() * 400 : 60 + random.next() * 160
+    }
+    return times
+  },
+
+  // Mouse moves every animation frame while the pointer travels, then stops for a moment
+  mouse: ({ duration, random }) => {
+    const times = []
+    for (let start = 0; start < duration; ) {
+      const end = Math.min(duration, start + 200 + random.next() * 300)
+      for (let time = start; time < end; time += 16) times.push(Math.round(time))
+      start = end + 150 + random.next() * 250
+    }
+    return times
+  },
+}
+
+export const generateEvents = (pattern, { duration = 2000, random = createRandom(`timeline:${pattern}`) } = {}) => {
+  const generate = EVENT_PATTERNS[pattern]
+  if (!generate) {
+    const known = Object.keys(EVENT_PATTERNS).join(", ")
+    throw new RangeError(`Unknown event pattern "${pattern}" - expected one of ${known}`)
+  }
+  return generate({ duration, random })
+}
+
+// maxWait adds a fourth lane: the same debounce, but never postponed longer than maxWait
+export const DEFAULT_TIMELINE_OPTIONS = {
+  wait: 100,
+  limit: 100,
+  maxWait: undefined,
+  debounce: { leading: false, trailing: true },
+  throttle: { leading: true, trailing: true },
+}
+
+// Feed event times to all three handlers and return one lane of fire times per handler
+export const simulateTimeline = (events, options = {}) => {
+  const { wait, limit, maxWait, ...edges } = { ...DEFAULT_TIMELINE_OPTIONS, ...options }
+  const clock = new VirtualClock()
+  const lanes = { raw: [], debounced: [], capped: [], throttled: [] }
+  const record = (lane) => () => lanes[lane].push(clock.now())
+
+  const handlers = [
+    debounce(record("debounced"), wait, { ...edges.debounce, scheduler: clock }),
+    throttle(record("throttled"), limit, { ...edges.throttle, scheduler: clock }),
+    maxWait && debounce(record("capped"), wait, { ...edges.debounce, maxWait, scheduler: clock }),
+  ].filter(Boolean)
+
+  for (const time of events) {
+    clock.advanceTo(time)
+    lanes.raw.push(time)
+    handlers.forEach((handler) => handler())
+  }
+
+  // Let trailing timers fire after the last event
+  const end = (events.at(-1) ?? 0) + Math.max(wait, limit) * 2
+  clock.advanceTo(end)
+
+  return {
+    duration: end,
+    lanes: [
+      { id: "raw", name: "Raw events", marks: lanes.raw },
+      { id: "debounced", name: `Debounced (${wait}ms)`, marks: lanes.debounced },
+      maxWait && { id: "capped", name: `Debounced, maxWait ${maxWait}ms`, marks: lanes.capped },
+      { id: "throttled", name: `Throttled (${limit}ms)`, marks: lanes.throttled },
+    ].filter(Boolean),
+  }
+}
+
+// One character per time bucket: "|" for one call, a digit for several, "·" for none
+export const formatTimeline = ({ duration, lanes }, { width = 60 } = {}) => {
+  const bucket = duration / width
+  const labelWidth = Math.max(...lanes.map(({ name }) => name.length))
+
+  const rows = lanes.map(({ name, marks }) => {
+    const counts = Array(width).fill(0)
+    marks.forEach((time) => counts[Math.min(width - 1, Math.floor(time / bucket))]++)
+    const track = counts.map((count) => (count === 0 ? "·" : count === 1 ? "|" : Math.min(count, 9))).join("")
+    return `${name.padEnd(labelWidth)} ${track} ${marks.length}`
+  })
+
+  const axis = `${" ".repeat(labelWidth)} 0ms${`${Math.round(duration)}ms`.padStart(width - 3)}`
+  return [...rows, axis].join("\n")
+}
@@ -0,0 +1,150 @@
+// Timeline Visualizer - debounce vs throttle on a shared time axis, from scripted or recorded input
+import { generateEvents, simulateTimeline, DEFAULT_TIMELINE_OPTIONS } from "./timeline.js"
+import { timelineChart } from "./svgChart.js"
+
+const RECORDING_WINDOW = 3000
+const PLAYBACK_SPEED = 0.5 // virtual ms per real ms, so bursts are slow enough to follow
+
+export class TimelineVisualizer {
+  constructor() {
+    const byId = (id) => document.getElementById(id)
+    this.chart = byId("timeline-chart")
+    this.summary = byId("timeline-summary")
+    this.pad = byId("timeline-pad")
+    this.controls = {
+      pattern: byId("timeline-pattern"),
+      wait: byId("timeline-wait"),
+      maxWait: byId("timeline-max-wait"),
+      limit: byId("timeline-limit"),
+      debounceLeading: byId("debounce-leading"),
+      debounceTrailing: byId("debounce-trailing"),
+      throttleLeading: byId("throttle-leading"),
+      throttleTrailing: byId("throttle-trailing"),
+    }
+    if (!this.chart) return
+
+    this.recorded = []
+    this.recordingStarted = null
+    this.timeline = null
+    this.cursor = Infinity
+    this.frame = null
+
+    Object.values(this.controls).forEach((control) => control?.addEventListener("input", () => this.update()))
+    byId("timeline-step")?.addEventListener("click", () => this.step())
+    byId("timeline-play")?.addEventListener("click", () => this.play())
+    byId("timeline-show-all")?.addEventListener("click", () => this.showAll())
+    this.pad?.addEventListener("mousemove", this.record)
+    this.pad?.addEventListener("keydown", this.record)
+    this.update()
+  }
+
+  get options() {
+    const { wait, maxWait, limit, debounceLeading, debounceTrailing, throttleLeading, throttleTrailing } = this.controls
+    return {
+      wait: Number(wait?.value ?? DEFAULT_TIMELINE_OPTIONS.wait),
+      // 0 on the slider means no cap, which drops the maxWait lane
+      maxWait: Number(maxWait?.value) || undefined,
+      limit: Number(limit?.value ?? DEFAULT_TIMELINE_OPTIONS.limit),
+      debounce: { leading: Boolean(debounceLeading?.checked), trailing: Boolean(debounceTrailing?.checked) },
+      throttle: { leading: Boolean(throttleLeading?.checked), trailing: Boolean(throttleTrailing?.checked) },
+    }
+  }
+
+  get pattern() {
+    return this.controls.pattern?.value ?? "burst"
+  }
+
+  get events() {
+    return this.pattern === "live" ? this.recorded : generateEvents(this.pattern)
+  }
+
+  // Re-simulate from scratch whenever an input changes; the replay is cheap and deterministic
+  update() {
+    const { wait, maxWait, limit } = this.options
+    document.getElementById("timeline-wait-value").textContent = `${wait}ms`
+    document.getElementById("timeline-max-wait-value").textContent = maxWait ? `${maxWait}ms` : "off"
+    document.getElementById("timeline-limit-value").textContent = `${limit}ms`
+    if (this.pad) this.pad.hidden = this.pattern !== "live"
+
+    this.stop()
+    this.timeline = simulateTimeline(this.events, this.options)
+    this.cursor = Infinity
+    this.render()
+  }
+
+  // Live mode: the first mouse move or key press starts a fixed recording window
+  record = (event) => {
+    if (this.pattern !== "live") return
+    if (event.type === "keydown") event.preventDefault()
+
+    const now = performance.now()
+    if (this.recordingStarted === null || now - this.recordingStarted > RECORDING_WINDOW) {
+      this.recordingStarted = now
+      this.recorded = []
+      setTimeout(() => this.update(), RECORDING_WINDOW)
+    }
+    this.recorded.push(Math.round(now - this.recordingStarted))
+    this.summary.textContent = `Recording... ${this.recorded.length} ${event.type === "keydown" ? "key presses" : "events"}`
+  }
+
+  // Jump the cursor to the next time any handler fires
+  step() {
+    this.stop()
+    const from = Number.isFinite(this.cursor) ? this.cursor : -1
+    const next = this.timeline.lanes
+      .flatMap(({ marks }) => marks)
+      .filter((time) => time > from)
+      .sort((a, b) => a - b)[0]
+    this.cursor = next ?? Infinity
+    this.render()
+  }
+
+  play() {
+    this.stop()
+    const started = performance.now()
+    const tick = () => {
+      this.cursor = (performance.now() - started) * PLAYBACK_SPEED
+      if (this.cursor >= this.timeline.duration) {
+        this.cursor = Infinity
+        this.frame = null
+      } else {
+        this.frame = requestAnimationFrame(tick)
+      }
+      this.render()
+    }
+    tick()
+  }
+
+  stop() {
+    if (this.frame !== null) cancelAnimationFrame(this.frame)
+    this.frame = null
+  }
+
+  showAll() {
+    this.stop()
+    this.cursor = Infinity
+    this.render()
+  }
+
+  render() {
+    const { lanes, duration } = this.timeline
+    const cursor = Math.min(this.cursor, duration)
+
+    if (lanes[0].marks.length === 0) {
+      this.chart.innerHTML = ""
+      this.summary.textContent = "Move the mouse or type in the box above to record input"
+      return
+    }
+
+    this.chart.innerHTML = timelineChart({
+      title: "When each handler fires",
+      lanes,
+      duration: Math.round(duration),
+      cursor,
+    })
+
+    const counts = lanes.map(({ name, marks }) => `${name}: ${marks.filter((time) => time <= cursor).length}`)
+    const at = Number.isFinite(this.cursor) ? `t = ${Math.round(cursor)}ms · ` : ""
+    this.summary.textContent = `${at}${counts.join(" · ")}`
+  }
+}
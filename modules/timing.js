@@ -0,0 +1,115 @@
+// Timing Utilities - debounce and throttle with cancel, flush, pending, edge control and maxWait.
+// Timers and the clock come from a scheduler. The default looks up setTimeout/Date.now on every
+// call, so fake timers installed after import still take effect; pass a scheduler such as
+// timeline.js's VirtualClock to drive them by hand.
+
+export const defaultScheduler = {
+  setTimeout: (callback, delay) => globalThis.setTimeout(callback, delay),
+  clearTimeout: (id) => globalThis.clearTimeout(id),
+  now: () => Date.now(),
+}
+
+// Calls fn once calls have stopped for `wait` ms (trailing edge), and/or on the first call of a
+// burst (leading edge). maxWait caps how long a steady stream of calls can postpone it.
+export const debounce = (
+  fn,
+  wait = 0,
+  { leading = false, trailing = true, maxWait, scheduler = defaultScheduler } = {},
+) => {
+  if (typeof fn !== "function") {
+    throw new TypeError("debounce expects a function")
+  }
+
+  const maxing = maxWait !== undefined
+  const maxDelay = maxing ? Math.max(maxWait, wait) : Infinity
+  let timer = null
+  let lastArgs
+  let lastThis
+  let lastCallTime
+  let lastInvokeTime = 0
+  let result
+
+  const invoke = (time) => {
+    const args = lastArgs
+    const context = lastThis
+    lastArgs = lastThis = undefined
+    lastInvokeTime = time
+    result = fn.apply(context, args)
+    return result
+  }
+
+  const remainingWait = (time) => {
+    const waitLeft = wait - (time - lastCallTime)
+    return maxing ? Math.min(waitLeft, maxDelay - (time - lastInvokeTime)) : waitLeft
+  }
+
+  const shouldInvoke = (time) => {
+    if (lastCallTime === undefined) return true
+    const sinceCall = time - lastCallTime
+    // A negative gap means the clock went backwards; treat it as a fresh burst
+    return sinceCall >= wait || sinceCall < 0 || (maxing && time - lastInvokeTime >= maxDelay)
+  }
+
+  const trailingEdge = (time) => {
+    timer = null
+    if (trailing && lastArgs) return invoke(time)
+    lastArgs = lastThis = undefined
+    return result
+  }
+
+  const timerExpired = () => {
+    const time = scheduler.now()
+    if (shouldInvoke(time)) {
+      trailingEdge(time)
+    } else {
+      timer = scheduler.setTimeout(timerExpired, remainingWait(time))
+    }
+  }
+
+  const leadingEdge = (time) => {
+    lastInvokeTime = time
+    timer = scheduler.setTimeout(timerExpired, wait)
+    return leading ? invoke(time) : result
+  }
+
+  // A regular function so callers' `this` reaches fn
+  function debounced(...args) {
+    const time = scheduler.now()
+    const isInvoking = shouldInvoke(time)
+    lastArgs = args
+    lastThis = this
+    lastCallTime = time
+
+    if (isInvoking) {
+      if (timer === null) return leadingEdge(time)
+      if (maxing) {
+        // maxWait elapsed mid-burst: fire now and keep waiting for the burst to end
+        scheduler.clearTimeout(timer)
+        timer = scheduler.setTimeout(timerExpired, wait)
+        return invoke(time)
+      }
+    }
+    if (timer === null) timer = scheduler.setTimeout(timerExpired, wait)
+    return result
+  }
+
+  // Drop any pending call
+  debounced.cancel = () => {
+    if (timer !== null) scheduler.clearTimeout(timer)
+    timer = null
+    lastInvokeTime = 0
+    lastArgs = lastThis = lastCallTime = undefined
+  }
+
+  // Run a pending call right away instead of waiting; returns fn's latest result
+  debounced.flush = () => (timer === null ? result : trailingEdge(scheduler.now()))
+
+  debounced.pending = () => timer !== null
+
+  return debounced
+}
+
+// Calls fn at most once per `wait` ms. Unlike a plain flag-based throttle, the last call of a
+// burst isn't dropped: with trailing (the default) it runs when the window closes.
+export const throttle = (fn, wait = 0, { leading = true, trailing = true, scheduler = defaultScheduler } = {}) =>
+  debounce(fn, wait, { leading, trailing, maxWait: wait, scheduler })
@@ -0,0 +1,301 @@
+// User Repository - an in-memory user collection with unique emails, secondary indexes, a query
+// API (filter, sort, paginate) and change events, persisted through a storage adapter from
+// storage.js (memory, localStorage or a JSON file).
+// Reads and writes are synchronous against memory; each write queues a save, and flush() resolves
+// once the latest one has landed. Records go in and out as copies, so callers can't change stored
+// users behind the repository's back.
+import { EventEmitter } from "./eventEmitter.js"
+import { createMemoryAdapter } from "./storage.js"
+import { ValidationError, validate } from "./validatedObject.js"
+
+export const USER_REPOSITORY_VERSION = 1
+
+export const USER_ROLES = ["user", "editor", "admin"]
+
+// Fields the repository checks; anything else (preferences, addresses, ...) is stored as given
+export const USER_SCHEMA = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 80 },
+  email: {
+    type: "string",
+    required: true,
+    pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+    message: "must be an email address",
+  },
+  role: { type: "string", enum: USER_ROLES },
+  active: { type: "boolean" },
+}
+
+// Set by the repository, never by callers
+const MANAGED_FIELDS = ["id", "createdAt", "updatedAt"]
+
+const emailKey = (email) => email.trim().toLowerCase()
+
+// "name" sorts ascending, "-age" descending; missing values sort last either way
+const toComparator = (sort) => {
+  const keys = (Array.isArray(sort) ? sort : [sort]).map((spec) =>
+    spec.startsWith("-") ? { field: spec.slice(1), direction: -1 } : { field: spec, direction: 1 },
+  )
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const [left, right] = [a[field], b[field]]
+      if (left === right) continue
+      if (left === undefined) return 1
+      if (right === undefined) return -1
+      const order = typeof left === "string" ? left.localeCompare(right) : left < right ? -1 : 1
+      if (order !== 0) return order * direction
+    }
+    return 0
+  }
+}
+
+export class UserRepository {
+  // indexes: fields to keep a value -> ids lookup for, so query({ where }) can skip a full scan
+  constructor(adapter = createMemoryAdapter(), { indexes = ["role", "active"] } = {}) {
+    this.adapter = adapter
+    this.indexedFields = indexes
+    this.events = new EventEmitter()
+    this.saving = Promise.resolve()
+    this.reset()
+  }
+
+  static async open(adapter, options) {
+    const repository = new UserRepository(adapter, options)
+    await repository.load()
+    return repository
+  }
+
+  reset() {
+    this.users = new Map()
+    this.nextId = 1
+    this.emails = new Map()
+    this.indexes = new Map(this.indexedFields.map((field) => [field, new Map()]))
+  }
+
+  async load() {
+    const data = await this.adapter.load()
+    this.reset()
+    if (!data) return this
+
+    if (data.version !== USER_REPOSITORY_VERSION || !Array.isArray(data.users)) {
+      throw new Error(`Unsupported user repository data (version ${data.version})`)
+    }
+    if (data.nextId !== undefined && (!Number.isInteger(data.nextId) || data.nextId < 1)) {
+      throw new Error(`Stored nextId must be a positive integer, got ${JSON.stringify(data.nextId)}`)
+    }
+    // Stored records are checked like new ones, so a hand-edited file can't break the indexes
+    try {
+      data.users.forEach((user, index) => {
+        if (!Number.isInteger(user?.id) || user.id < 1 || this.users.has(user.id)) {
+          throw new Error(`Stored user at index ${index} has a missing or duplicate id (${user?.id})`)
+        }
+        this.check(user, user.id)
+        this.insert(user)
+      })
+    } catch (error) {
+      this.reset()
+      throw error
+    }
+    this.nextId = data.users.reduce((next, { id }) => Math.max(next, id + 1), data.nextId ?? 1)
+    return this
+  }
+
+  toJSON() {
+    return { version: USER_REPOSITORY_VERSION, nextId: this.nextId, users: [...this.users.values()] }
+  }
+
+  // Saves are queued so overlapping writes land in order
+  persist() {
+    const snapshot = structuredClone(this.toJSON())
+    this.saving = this.saving.catch(() => {}).then(() => this.adapter.save(snapshot))
+    // A failed save surfaces through flush(), not as an unhandled rejection
+    this.saving.catch(() => {})
+    return this.saving
+  }
+
+  flush() {
+    return this.saving
+  }
+
+  // Change events: "user:created" and "user:deleted" get { user }, "user:updated" gets
+  // { user, previous, changes }. Patterns work too, e.g. on("user:*", ...).
+  on(event, listener, options) {
+    return this.events.on(event, listener, options)
+  }
+
+  // Indexes
+
+  insert(user) {
+    this.users.set(user.id, user)
+    this.emails.set(emailKey(user.email), user.id)
+    this.indexes.forEach((index, field) => {
+      if (user[field] === undefined) return
+      if (!index.has(user[field])) index.set(user[field], new Set())
+      index.get(user[field]).add(user.id)
+    })
+  }
+
+  remove(user) {
+    this.users.delete(user.id)
+    this.emails.delete(emailKey(user.email))
+    this.indexes.forEach((index, field) => {
+      const ids = index.get(user[field])
+      ids?.delete(user.id)
+      if (ids?.size === 0) index.delete(user[field])
+    })
+  }
+
+  // Every violation of the schema and the unique email constraint, for a user that would be stored
+  // as `user` (ignoring the stored user with id `id`, i.e. itself when updating)
+  check(user, id = null) {
+    const violations = validate(USER_SCHEMA, user)
+    const owner = typeof user.email === "string" ? this.emails.get(emailKey(user.email)) : undefined
+    if (owner !== undefined && owner !== id) {
+      const message = `is already used by user ${owner}`
+      violations.push({ path: "email", rule: "unique", message, value: user.email })
+    }
+    if (violations.length > 0) throw new ValidationError(violations)
+  }
+
+  rejectManagedFields(data) {
+    const violations = MANAGED_FIELDS.filter((field) => field in data).map((field) => ({
+      path: field,
+      rule: "readonly",
+      message: "is set by the repository",
+      value: data[field],
+    }))
+    if (violations.length > 0) throw new ValidationError(violations)
+  }
+
+  // CRUD
+
+  create(data) {
+    this.rejectManagedFields(data)
+    const fields = structuredClone(data)
+    fields.role ??= "user"
+    fields.active ??= true
+    this.check(fields)
+
+    const now = new Date().toISOString()
+    const user = { id: this.nextId++, ...fields, createdAt: now, updatedAt: now }
+    this.insert(user)
+    this.persist()
+    this.events.emit("user:created", { user: structuredClone(user) })
+    return structuredClone(user)
+  }
+
+  // Shallow merge of changes into the stored user; returns the updated copy
+  update(id, changes) {
+    const previous = this.users.get(id)
+    if (!previous) throw new RangeError(`No user with id ${id}`)
+    this.rejectManagedFields(changes)
+
+    const user = { ...previous, ...structuredClone(changes), updatedAt: new Date().toISOString() }
+    this.check(user, id)
+    this.remove(previous)
+    this.insert(user)
+    this.persist()
+    this.events.emit("user:updated", {
+      user: structuredClone(user),
+      previous: structuredClone(previous),
+      changes: structuredClone(changes),
+    })
+    return structuredClone(user)
+  }
+
+  // Returns whether a user was deleted
+  delete(id) {
+    const user = this.users.get(id)
+    if (!user) return false
+    this.remove(user)
+    this.persist()
+    this.events.emit("user:deleted", { user: structuredClone(user) })
+    return true
+  }
+
+  findById(id) {
+    const user = this.users.get(id)
+    return user ? structuredClone(user) : undefined
+  }
+
+  // Emails are unique regardless of case and surrounding spaces
+  findByEmail(email) {
+    return this.findById(this.emails.get(emailKey(email)))
+  }
+
+  getAll() {
+    return [...this.users.values()].map((user) => structuredClone(user))
+  }
+
+  count() {
+    return this.users.size
+  }
+
+  // Query
+
+  // where: { field: value } equality checks, answered from an index when one covers a field;
+  // filter: (user) => boolean for anything else; sort: "field", "-field" or a list of them;
+  // page (from 1) and pageSize: which slice to return. `index` names the index used, if any.
+  query({ where = {}, filter, sort, page = 1, pageSize = Infinity } = {}) {
+    if (!Number.isInteger(page) || page < 1) {
+      throw new RangeError(`page must be a positive integer, got ${page}`)
+    }
+    if (!(pageSize >= 1)) {
+      throw new RangeError(`pageSize must be at least 1, got ${pageSize}`)
+    }
+
+    // Start from the smallest index bucket that matches, as it narrows the scan the most
+    const conditions = Object.entries(where)
+    let index = null
+    let candidates = null
+    for (const [field, value] of conditions) {
+      if (!this.indexes.has(field)) continue
+      const ids = this.indexes.get(field).get(value) ?? new Set()
+      if (candidates === null || ids.size < candidates.size) {
+        index = field
+        candidates = ids
+      }
+    }
+
+    let matches = [...(candidates ?? this.users.keys())]
+      .map((id) => this.users.get(id))
+      .filter((user) => conditions.every(([field, value]) => user[field] === value))
+      .filter((user) => !filter || filter(structuredClone(user)))
+    if (sort) matches = matches.sort(toComparator(sort))
+
+    const total = matches.length
+    // Page 1 starts at 0 even when pageSize is Infinity (0 * Infinity is NaN)
+    const start = page === 1 ? 0 : (page - 1) * pageSize
+    return {
+      items: matches.slice(start, start + pageSize).map((user) => structuredClone(user)),
+      total,
+      page,
+      pageSize,
+      pages: Math.max(1, Math.ceil(total / pageSize)),
+      index,
+    }
+  }
+}
+
+// The people the destructuring and spread demos work with
+export const SAMPLE_USERS = [
+  {
+    name: "John Doe",
+    email: "john@example.com",
+    role: "admin",
+    permissions: ["read", "write"],
+    lastLogin: "2024-01-01",
+    preferences: { theme: "dark", notifications: { email: true, push: false, sms: true } },
+    addresses: [
+      { type: "home", city: "New York", zipCode: "10001" },
+      { type: "work", city: "San Francisco", zipCode: "94105" },
+    ],
+  },
+  { name: "Jane Smith", email: "jane@example.com", role: "editor", active: false },
+  { name: "Bob Martin", email: "bob@example.com" },
+]
+
+export const createSampleRepository = (adapter) => {
+  const repository = new UserRepository(adapter)
+  SAMPLE_USERS.forEach((user) => repository.create(user))
+  return repository
+}
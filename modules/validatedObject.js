@@ -0,0 +1,317 @@
+// Validated Objects - a Proxy that checks every write against a schema, logs access, notifies
+// subscribers of changes and can undo them.
+// A schema maps field names to rules:
+//   type       "string" | "number" | "integer" | "boolean" | "object" | "array"
+//   required   must be present (checked on creation and on delete)
+//   readonly   can be set on creation only
+//   min, max   number range; minLength, maxLength: string length; minItems, maxItems: array length
+//   pattern    RegExp a string must match; enum: list of allowed values
+//   properties nested schema for an object; strict: reject fields the schema doesn't list
+//   items      rules for every element of an array
+//   validate   (value, parent) => true, or false / a message when invalid
+//   message    replaces the default message for pattern and validate failures
+// A failed write throws a ValidationError listing every rule the value broke, not just the first.
+import { EventEmitter } from "./eventEmitter.js"
+
+export class ValidationError extends Error {
+  // violations: [{ path, rule, message, value }]
+  constructor(violations) {
+    super(violations.map(({ path, message }) => `${path} ${message}`).join("; "))
+    this.name = "ValidationError"
+    this.violations = violations
+  }
+}
+
+const TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+}
+
+const isIndex = (prop) => typeof prop === "string" && /^(0|[1-9]\d*)$/.test(prop)
+
+// "address.city", "tags[2]"
+const formatPath = (segments) =>
+  segments.reduce((path, segment) => {
+    if (isIndex(segment)) return `${path}[${segment}]`
+    return path ? `${path}.${segment}` : segment
+  }, "")
+
+const LENGTH_RULES = {
+  string: ["minLength", "maxLength", "characters"],
+  array: ["minItems", "maxItems", "items"],
+}
+
+const checkLength = (rules, length, kind, fail) => {
+  const [minRule, maxRule, unit] = LENGTH_RULES[kind]
+  if (rules[minRule] !== undefined && length < rules[minRule]) {
+    fail(minRule, `must have at least ${rules[minRule]} ${unit}`)
+  }
+  if (rules[maxRule] !== undefined && length > rules[maxRule]) {
+    fail(maxRule, `must have at most ${rules[maxRule]} ${unit}`)
+  }
+}
+
+// Every rule `value` breaks, with nested fields and array items checked too
+export const validateValue = (rules, value, segments = [], parent = undefined) => {
+  const violations = []
+  const fail = (rule, message) => violations.push({ path: formatPath(segments) || "(root)", rule, message, value })
+
+  if (value === undefined) {
+    if (rules.required) fail("required", "is required")
+    return violations
+  }
+  if (rules.type && !TYPES[rules.type]?.(value)) {
+    fail("type", `must be ${/^[aeiou]/.test(rules.type) ? "an" : "a"} ${rules.type}`)
+    // The remaining rules assume the right type - though a fraction can still be out of range
+    if (!(rules.type === "integer" && typeof value === "number")) return violations
+  }
+
+  if (rules.min !== undefined && value < rules.min) fail("min", `must be at least ${rules.min}`)
+  if (rules.max !== undefined && value > rules.max) fail("max", `must be at most ${rules.max}`)
+  if (typeof value === "string") checkLength(rules, value.length, "string", fail)
+  if (Array.isArray(value)) checkLength(rules, value.length, "array", fail)
+  if (rules.pattern && !rules.pattern.test(String(value))) {
+    fail("pattern", rules.message ?? `must match ${rules.pattern}`)
+  }
+  if (rules.enum && !rules.enum.includes(value)) {
+    fail("enum", `must be one of ${rules.enum.map((option) => JSON.stringify(option)).join(", ")}`)
+  }
+
+  if (rules.properties) violations.push(...validate(rules.properties, value, { strict: rules.strict, segments }))
+  if (rules.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      violations.push(...validateValue(rules.items, item, [...segments, String(index)], value))
+    })
+  }
+
+  if (rules.validate) {
+    const outcome = rules.validate(value, parent)
+    if (outcome !== true && outcome !== undefined) {
+      fail("validate", typeof outcome === "string" ? outcome : (rules.message ?? "is invalid"))
+    }
+  }
+  return violations
+}
+
+const unknownField = (segments, value) => ({
+  path: formatPath(segments),
+  rule: "strict",
+  message: "is not in the schema",
+  value,
+})
+
+// Every violation of a whole object against a schema; an empty array means it's valid
+export const validate = (schema, object, { strict = false, segments = [] } = {}) => {
+  const violations = Object.entries(schema).flatMap(([field, rules]) =>
+    validateValue(rules, object?.[field], [...segments, field], object),
+  )
+  if (strict) {
+    Object.keys(object ?? {})
+      .filter((field) => !(field in schema))
+      .forEach((field) => violations.push(unknownField([...segments, field], object[field])))
+  }
+  return violations
+}
+
+// Internal state per root proxy: the access log, the undo history, the change emitter and proxy caches
+const states = new WeakMap()
+
+// Proxy -> the object it wraps, so a value read from a validated object can be written back
+const targets = new WeakMap()
+
+const unwrap = (value) => targets.get(value) ?? value
+
+// Values written through the proxy are copied, so the caller can't change them behind its back
+const copy = (value) => (typeof value === "object" && value !== null ? structuredClone(unwrap(value)) : value)
+
+const stateOf = (object) => {
+  const state = states.get(object)
+  if (!state) throw new TypeError("Expected an object created by createValidatedObject()")
+  return state
+}
+
+// Rules for a property of an object or an element of an array described by `rules`
+const childRules = (rules, prop) => {
+  if (rules.type === "array") return isIndex(prop) ? rules.items : undefined
+  return rules.properties?.[prop]
+}
+
+// Changes are emitted under their path, so every segment has to be a plain event-name segment
+const isEventSegment = (segment) => segment !== "" && segment !== "*" && segment !== "**" && !segment.includes(":")
+
+const checkName = (segments, value) =>
+  segments.every(isEventSegment)
+    ? []
+    : [{ path: formatPath(segments), rule: "name", message: 'can\'t contain an empty, "*", "**" or ":" name', value }]
+
+const describe = (value) => (typeof value === "object" && value !== null ? JSON.stringify(value) : String(value))
+
+const wrap = (target, rules, segments, state) => {
+  if (state.proxies.has(target)) return state.proxies.get(target)
+
+  const pathOf = (prop) => [...segments, String(prop)]
+
+  // Reads only go to the log; writes also go to the undo history and to subscribers
+  const record = ({ type, path, value, previous, ...undoable }) => {
+    state.accessLog.push({ type, path, value, previous })
+    if (state.accessLog.length > state.logLimit) state.accessLog.shift()
+    if (type === "get" || type === "has") return
+    state.writes.push({ type, path, value, previous, ...undoable })
+    if (state.writes.length > state.logLimit) state.writes.shift()
+    state.notify({ type, path, value, previous })
+  }
+
+  const checkWrite = (prop, value) => {
+    const propSegments = pathOf(prop)
+    const path = formatPath(propSegments)
+    const badName = checkName(propSegments, value)
+    if (badName.length > 0) return badName
+
+    if (rules.type === "array") {
+      const violations = []
+      const failLength = (rule, message) => violations.push({ path: formatPath(segments), rule, message, value })
+      if (prop === "length") {
+        checkLength(rules, value, "array", failLength)
+      } else if (isIndex(prop)) {
+        if (rules.items) violations.push(...validateValue(rules.items, value, propSegments, target))
+        // Writing past the end grows the array
+        if (Number(prop) >= target.length) checkLength(rules, Number(prop) + 1, "array", failLength)
+      }
+      return violations
+    }
+
+    const fieldRules = childRules(rules, prop)
+    if (!fieldRules) return rules.strict ? [unknownField(propSegments, value)] : []
+    if (fieldRules.readonly && Object.hasOwn(target, prop)) {
+      return [{ path, rule: "readonly", message: "is read-only", value }]
+    }
+    return validateValue(fieldRules, value, propSegments, target)
+  }
+
+  const proxy = new Proxy(target, {
+    get(obj, prop, receiver) {
+      // Symbols (Symbol.iterator, Symbol.toPrimitive, ...) are plumbing, not fields
+      if (typeof prop === "symbol") return Reflect.get(obj, prop, receiver)
+
+      const value = Reflect.get(obj, prop, receiver)
+      if (Object.hasOwn(obj, prop)) record({ type: "get", path: formatPath(pathOf(prop)) })
+      const nested = childRules(rules, prop)
+      if (nested && typeof value === "object" && value !== null) {
+        return wrap(value, nested, pathOf(prop), state)
+      }
+      return value
+    },
+
+    set(obj, prop, value, receiver) {
+      if (typeof prop === "symbol") return Reflect.set(obj, prop, value, receiver)
+      // A value read from this object (u.tags = u.tags) is checked and stored as plain data
+      value = unwrap(value)
+
+      const violations = checkWrite(prop, value)
+      if (violations.length > 0) throw new ValidationError(violations)
+
+      const had = Object.hasOwn(obj, prop)
+      const previous = obj[prop]
+      // Array writes keep the length they started from and any elements a shorter length drops, so
+      // undoing a push or a truncation restores the array exactly without copying all of it
+      const length = Array.isArray(obj) ? obj.length : undefined
+      const removed = Array.isArray(obj) && prop === "length" && value < length ? obj.slice(value) : undefined
+      obj[prop] = copy(value)
+      // push() sets the new element and then a length that already matches - not a change
+      if (!(Array.isArray(obj) && prop === "length" && previous === value)) {
+        const path = formatPath(pathOf(prop))
+        record({ type: "set", target: obj, prop, path, value, previous, had, length, removed })
+      }
+      return true
+    },
+
+    deleteProperty(obj, prop) {
+      if (typeof prop === "symbol" || !Object.hasOwn(obj, prop)) return Reflect.deleteProperty(obj, prop)
+
+      const fieldRules = childRules(rules, prop) ?? {}
+      const path = formatPath(pathOf(prop))
+      const violations = [
+        ...checkName(pathOf(prop), undefined),
+        fieldRules.required && { path, rule: "required", message: "is required", value: undefined },
+        fieldRules.readonly && { path, rule: "readonly", message: "is read-only", value: undefined },
+      ].filter(Boolean)
+      if (violations.length > 0) throw new ValidationError(violations)
+
+      const previous = obj[prop]
+      delete obj[prop]
+      record({ type: "delete", target: obj, prop, path, previous, had: true })
+      return true
+    },
+
+    has(obj, prop) {
+      if (typeof prop !== "symbol") record({ type: "has", path: formatPath(pathOf(prop)) })
+      return Reflect.has(obj, prop)
+    },
+  })
+
+  state.proxies.set(target, proxy)
+  targets.set(proxy, target)
+  return proxy
+}
+
+// initial is validated as a whole and copied; options.strict rejects fields the schema doesn't list,
+// options.logLimit caps the access log and the undo history (oldest entries are dropped first)
+export const createValidatedObject = (schema, initial = {}, { strict = false, logLimit = 1000 } = {}) => {
+  const violations = validate(schema, initial, { strict })
+  if (violations.length > 0) throw new ValidationError(violations)
+
+  const emitter = new EventEmitter({ maxListeners: 50 })
+  const state = {
+    accessLog: [],
+    logLimit,
+    writes: [],
+    proxies: new WeakMap(),
+    emitter,
+    // Changes are emitted under their path with ":" separators, so emitter wildcards work on paths
+    notify: ({ type, path, value, previous }) =>
+      emitter.emit(path.replace(/\[(\d+)\]/g, ".$1").replace(/\./g, ":"), { type, path, value, previous }),
+  }
+  const proxy = wrap(copy(initial), { type: "object", properties: schema, strict }, [], state)
+  states.set(proxy, state)
+  return proxy
+}
+
+// listener({ type, path, value, previous }) for changes matching a dotted path pattern: "*"
+// matches one segment and "**" any number, so "address.*" hears address.city and "**" everything.
+// Returns an unsubscribe function.
+export const subscribe = (object, pattern, listener) =>
+  stateOf(object).emitter.on(pattern.replace(/\./g, ":"), listener)
+
+// The latest gets, has checks, sets and deletes (up to logLimit), oldest first; writes carry the
+// value they replaced
+export const getAccessLog = (object) => stateOf(object).accessLog.map((entry) => ({ ...entry }))
+
+// "GET name", "SET age = 31" - the format the proxy demo prints
+export const formatAccessLog = (object) =>
+  getAccessLog(object).map(({ type, path, value }) =>
+    type === "set" ? `SET ${path} = ${describe(value)}` : `${type.toUpperCase()} ${path}`,
+  )
+
+// Reverts the last `steps` writes, newest first. Undone writes are restored directly - they were
+// valid before - and reported to subscribers as "undo" changes. Returns how many writes were undone.
+export const undo = (object, steps = 1) => {
+  const state = stateOf(object)
+  let undone = 0
+  while (undone < steps && state.writes.length > 0) {
+    const { target, prop, had, previous, path, value, length, removed } = state.writes.pop()
+    if (had) target[prop] = previous
+    else delete target[prop]
+    removed?.forEach((item, index) => {
+      target[value + index] = item
+    })
+    // Writing past the end of an array grew it; put its length back
+    if (length !== undefined) target.length = length
+    undone++
+    state.notify({ type: "undo", path, value: previous, previous: value })
+  }
+  return undone
+}
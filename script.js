@@ -3,7 +3,7 @@
 
 // 1. Arrow Functions Demo
 function arrowFunctionDemo() {
-  const output = document.getElementById("arrow-output")
+  const output = document.getElementById("basic-arrow-output")
 
   // Traditional function
   const traditional = (a, b) => a + b
@@ -25,7 +25,7 @@ Even numbers: [${evens.join(", ")}]`
 
 // 2. Destructuring Demo
 function destructuringDemo() {
-  const output = document.getElementById("destructuring-output")
+  const output = document.getElementById("basic-destructuring-output")
 
   // Object destructuring
   const person = {
@@ -54,7 +54,7 @@ Rest: [${rest.join(", ")}]`
 
 // 3. Spread Operator Demo
 function spreadDemo() {
-  const output = document.getElementById("spread-output")
+  const output = document.getElementById("basic-spread-output")
 
   // Array spreading
   const fruits = ["apple", "banana"]
@@ -85,7 +85,7 @@ Max: ${maxNumber}`
 
 // 4. Template Literals Demo
 function templateDemo() {
-  const output = document.getElementById("template-output")
+  const output = document.getElementById("basic-template-output")
   const nameInput = document.getElementById("name-input")
   const name = nameInput.value || "Anonymous"
 
@@ -117,7 +117,7 @@ ${calculation}`
 
 // 5. Let & Const Demo
 function letConstDemo() {
-  const output = document.getElementById("letconst-output")
+  const output = document.getElementById("basic-letconst-output")
 
   let result = ""
 
@@ -159,17 +159,20 @@ Scope test: ${scopeTest()}
 
 // 6. Default Parameters Demo
 function defaultParamsDemo() {
-  const output = document.getElementById("params-output")
+  const output = document.getElementById("basic-params-output")
   const ageInput = document.getElementById("age-input")
   const inputAge = ageInput.value
 
+  // Seeded by main.js so ?seed= reproduces these ids too
+  const random = window.createSeededRandom?.("basics:default-params") ?? { next: Math.random }
+
   // Function with default parameters
   const createUser = (name = "Anonymous", age = 18, role = "User") => {
     return {
       name,
       age: Number.parseInt(age) || 18,
       role,
-      id: Math.floor(Math.random() * 1000),
+      id: Math.floor(random.next() * 1000),
       createdAt: new Date().toLocaleDateString(),
     }
   }
@@ -186,43 +189,6 @@ Named User: ${JSON.stringify(user2, null, 2)}
 Custom User: ${JSON.stringify(user3, null, 2)}`
 }
 
-// Initialize challenges on page load
-document.addEventListener("DOMContentLoaded", () => {
-  initializeChallenges()
-})
-
-function initializeChallenges() {
-  const challenges = [
-    { name: "Arrow Functions", description: "Basic arrow function syntax", completed: true },
-    { name: "Object Destructuring", description: "Extract object properties", completed: true },
-    { name: "Array Destructuring", description: "Extract array elements", completed: true },
-    { name: "Spread Arrays", description: "Combine arrays with spread", completed: true },
-    { name: "Spread Objects", description: "Merge objects with spread", completed: true },
-    { name: "Template Literals", description: "String interpolation", completed: true },
-    { name: "Multi-line Strings", description: "Template literal formatting", completed: true },
-    { name: "Let vs Var", description: "Block scoping differences", completed: true },
-    { name: "Const Arrays", description: "Const with mutable objects", completed: true },
-    { name: "Default Parameters", description: "Function parameter defaults", completed: true },
-    { name: "Rest Parameters", description: "Collect remaining arguments", completed: true },
-    { name: "Array Methods", description: "Map, filter with arrows", completed: true },
-    { name: "Object Shorthand", description: "Property shorthand syntax", completed: true },
-    { name: "Computed Properties", description: "Dynamic object keys", completed: true },
-    { name: "For...of Loop", description: "Iterate over iterables", completed: true },
-  ]
-
-  const challengesGrid = document.getElementById("challenges-grid")
-
-  challenges.forEach((challenge) => {
-    const challengeElement = document.createElement("div")
-    challengeElement.className = `challenge-item ${challenge.completed ? "completed" : ""}`
-    challengeElement.innerHTML = `
-            <h4>${challenge.completed ? "✅" : "⏳"} ${challenge.name}</h4>
-            <p>${challenge.description}</p>
-        `
-    challengesGrid.appendChild(challengeElement)
-  })
-}
-
 // Additional ES6+ examples for learning
 const additionalExamples = {
   // Object shorthand
@@ -0,0 +1,44 @@
+// Regression checks for submissions that try to pass without solving the challenge
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { gradeChallenge } from "../modules/grader.js"
+import { findChallenge } from "../modules/challenges.js"
+
+const challenge = findChallenge("arrow-compose")
+
+// Reaches for the worker's process through a host function, reads the harness source from
+// workerData and returns forged checks tagged with whatever nonce it finds there
+const ESCAPE_AND_FORGE = `
+let nonce = null
+try {
+  const process = setTimeout.constructor("return process")()
+  const { workerData } = process.getBuiltinModule("node:worker_threads")
+  nonce = workerData.code.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/)?.[0]
+} catch {}
+return { nonce, checks: [async () => 11, async () => "ES6", async () => 7] }`
+
+test("a submission can't escape the sandbox to forge passing results", async () => {
+  const report = await gradeChallenge(challenge, ESCAPE_AND_FORGE)
+  assert.equal(report.passed, false)
+  assert.equal(report.results[0].error, "Submission returned before the tests could run")
+})
+
+test("sandbox helpers don't lead back to the worker's Function constructor", async () => {
+  const report = await gradeChallenge(challenge, 'const compose = () => () => setTimeout.constructor("return 11")()')
+  assert.equal(report.passed, false)
+  assert.match(report.results[0].error, /Code generation from strings disallowed/)
+})
+
+test("a bare return or patched built-ins don't pass", async () => {
+  for (const code of [
+    "return [{ passed: true }, { passed: true }, { passed: true }]",
+    "Object.is = () => true; JSON.stringify = () => '11'; const compose = () => () => 0",
+  ]) {
+    assert.equal((await gradeChallenge(challenge, code)).passed, false)
+  }
+})
+
+test("a correct solution passes", async () => {
+  const report = await gradeChallenge(challenge, "const compose = (...fns) => (x) => fns.reduceRight((v, f) => f(v), x)")
+  assert.equal(report.passed, true)
+})